@@ -33,6 +33,27 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware restricting a route to administrators.
+ * Administrators are listed by email in the ADMIN_EMAILS environment variable.
+ * Must run after authenticateToken.
+ */
+export const requireAdmin = (req, res, next) => {
+  const adminEmails = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+
+  if (!req.user || !adminEmails.includes(req.user.email)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Administrator access required'
+    });
+  }
+
+  next();
+};
+
 /**
  * Middleware for Socket.IO connection authentication.
  * This runs on every new socket connection attempt.
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+const glossaryTermSchema = new mongoose.Schema({
+  // Room the term belongs to; null for the global (organization-wide) glossary
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    default: null
+  },
+  term: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Forced translation of the term, per target language
+  translations: [{
+    language: {
+      type: String,
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    }
+  }],
+  // Keep the term exactly as written in every language (product names, drug names...)
+  doNotTranslate: {
+    type: Boolean,
+    default: false
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+glossaryTermSchema.index({ room: 1, term: 1 }, { unique: true });
+
+export default mongoose.model('GlossaryTerm', glossaryTermSchema);
@@ -14,7 +14,7 @@ const messageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'audio', 'subtitle', 'system'],
+    enum: ['text', 'audio', 'subtitle', 'system', 'attachment'],
     default: 'text'
   },
   content: {
@@ -25,7 +25,12 @@ const messageSchema = new mongoose.Schema({
     translations: [{
       language: String,
       text: String,
-      confidence: Number // Translation confidence score
+      confidence: Number, // Translation confidence score
+      provider: String, // Translation provider that produced the text
+      degraded: { // Fallback output rather than a real translation
+        type: Boolean,
+        default: false
+      }
     }]
   },
   audioData: {
@@ -35,8 +40,41 @@ const messageSchema = new mongoose.Schema({
     transcription: {
       text: String,
       language: String,
-      confidence: Number
+      confidence: Number,
+      degraded: Boolean, // Mock transcription because speech-to-text was unavailable
+      segments: [{
+        start: Number, // seconds from the start of the utterance
+        end: Number,
+        text: String,
+        confidence: Number
+      }]
+    }
+  },
+  replyTo: { // Parent message when this is a reply in a thread
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  recipients: [{ // Private message: only the sender and these users can see it
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  readBy: [{ // Participants who have seen the message in chat
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
     }
+  }],
+  attachment: {
+    storage: String, // Storage backend holding the file (see attachmentStorage)
+    key: String, // Backend-specific location of the file
+    filename: String,
+    mimeType: String,
+    size: Number // in bytes
   },
   metadata: {
     timestamp: {
@@ -63,6 +101,13 @@ const messageSchema = new mongoose.Schema({
   isDeleted: {
     type: Boolean,
     default: false
+  },
+  moderation: { // Set when the host removed the message (see ModerationLog)
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
   }
 }, {
   timestamps: true
@@ -72,9 +117,65 @@ const messageSchema = new mongoose.Schema({
 messageSchema.index({ room: 1, createdAt: -1 });
 messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ type: 1, room: 1 });
+messageSchema.index({ replyTo: 1 });
+// Full-text search over what was said and its translations. Stemming is off
+// because one index holds many languages, and the override field is renamed
+// so our ISO `language` fields are not mistaken for MongoDB text languages.
+messageSchema.index(
+  { 'content.original.text': 'text', 'content.translations.text': 'text' },
+  { name: 'message_text_search', default_language: 'none', language_override: 'textSearchLanguage' }
+);
+
+// Query condition matching the messages a user may see: everything sent to the
+// whole room plus private messages they sent or received
+messageSchema.statics.visibleTo = function(userId) {
+  return {
+    $or: [
+      { 'recipients.0': { $exists: false } },
+      { sender: userId },
+      { recipients: userId }
+    ]
+  };
+};
+
+/**
+ * Work out who a new message goes to. Replies stay in their parent's
+ * audience, so a reply to a private message is private too.
+ * @param {Object} room - Room document
+ * @param {ObjectId} senderId - Author of the new message
+ * @param {Object} input - { replyTo, recipientId } from the client
+ * @returns {Promise<Object>} { value: { replyTo, recipients } } or { error }
+ */
+messageSchema.statics.resolveAudience = async function(room, senderId, { replyTo, recipientId } = {}) {
+  if (replyTo) {
+    const parent = mongoose.isValidObjectId(replyTo)
+      ? await this.findOne({ _id: replyTo, room: room._id, isDeleted: false })
+      : null;
+    if (!parent || !parent.isVisibleTo(senderId)) {
+      return { error: 'The message you are replying to does not exist' };
+    }
+
+    const recipients = parent.recipients.length > 0
+      ? [parent.sender, ...parent.recipients].filter(id => id.toString() !== senderId.toString())
+      : [];
+    // Replies belong to the top-level message, not to another reply
+    return { value: { replyTo: parent.replyTo || parent._id, recipients } };
+  }
+
+  if (recipientId) {
+    if (!mongoose.isValidObjectId(recipientId)
+      || recipientId.toString() === senderId.toString()
+      || !room.isMember(recipientId)) {
+      return { error: 'Private messages can only be sent to another participant of this room' };
+    }
+    return { value: { replyTo: null, recipients: [recipientId] } };
+  }
+
+  return { value: { replyTo: null, recipients: [] } };
+};
 
 // Add translation to message
-messageSchema.methods.addTranslation = function(language, text, confidence = 1.0) {
+messageSchema.methods.addTranslation = function(language, text, confidence = 1.0, provider, degraded = false) {
   const existingTranslation = this.content.translations.find(
     t => t.language === language
   );
@@ -82,11 +183,15 @@ messageSchema.methods.addTranslation = function(language, text, confidence = 1.0
   if (existingTranslation) {
     existingTranslation.text = text;
     existingTranslation.confidence = confidence;
+    existingTranslation.provider = provider;
+    existingTranslation.degraded = degraded;
   } else {
     this.content.translations.push({
       language,
       text,
-      confidence
+      confidence,
+      provider,
+      degraded
     });
   }
   
@@ -98,6 +203,45 @@ messageSchema.methods.getTranslation = function(language) {
   return this.content.translations.find(t => t.language === language);
 };
 
+// Whether a user may see the message (see visibleTo)
+messageSchema.methods.isVisibleTo = function(userId) {
+  const id = userId.toString();
+  return this.recipients.length === 0
+    || (this.sender._id || this.sender).toString() === id
+    || this.recipients.some(recipient => recipient.toString() === id);
+};
+
+// Remove a user's reaction from the message
+messageSchema.methods.removeReaction = function(userId) {
+  this.metadata.reactions = this.metadata.reactions.filter(
+    r => r.user.toString() !== userId.toString()
+  );
+
+  return this.save();
+};
+
+// Soft delete: keep the document for ordering, but drop what was said
+messageSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.content.original.text = '';
+  this.content.translations = [];
+  this.audioData = undefined;
+  this.attachment = undefined;
+
+  return this.save();
+};
+
+// Plain object as sent to clients, with the translation for the reader's language
+messageSchema.methods.toRecipientObject = function(language) {
+  const translation = this.getTranslation(language);
+  return {
+    ...this.toObject(),
+    translation: translation
+      ? { language, text: translation.text, degraded: translation.degraded }
+      : null
+  };
+};
+
 // Add reaction to message
 messageSchema.methods.addReaction = function(userId, emoji) {
   const existingReaction = this.metadata.reactions.find(
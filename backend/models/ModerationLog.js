@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Audit trail of moderation actions taken in rooms
+const moderationLogSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['hide_message'],
+    required: true
+  },
+  targetUser: { // Author of the moderated message
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  content: { // Snapshot of what was removed, since the message itself is blanked
+    text: String,
+    language: String,
+    attachmentName: String
+  },
+  reason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+moderationLogSchema.index({ room: 1, createdAt: -1 });
+
+export default mongoose.model('ModerationLog', moderationLogSchema);
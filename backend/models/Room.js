@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+// Most to least privileged, see services/roomPermissions.js
+export const ROOM_ROLES = ['host', 'co-host', 'interpreter', 'participant', 'viewer'];
 
 const roomSchema = new mongoose.Schema({
   roomId: {
@@ -35,8 +39,32 @@ const roomSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: true
+    },
+    role: {
+      type: String,
+      enum: ROOM_ROLES,
+      default: 'participant'
+    },
+    admitted: { // false while waiting in the lobby, and after being denied
+      type: Boolean,
+      default: true
     }
   }],
+  bannedUsers: [{ // Removed by the host and not allowed back in
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reason: String
+  }],
   settings: {
     maxParticipants: {
       type: Number,
@@ -48,7 +76,10 @@ const roomSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    password: String,
+    password: { // bcrypt hash, only loaded when asked for with select('+settings.password')
+      type: String,
+      select: false
+    },
     allowRecording: {
       type: Boolean,
       default: false
@@ -60,6 +91,16 @@ const roomSchema = new mongoose.Schema({
     enableSignLanguage: {
       type: Boolean,
       default: true
+    },
+    slowModeSeconds: { // Minimum gap between chat messages per participant, 0 = off
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 3600
+    },
+    lobbyEnabled: { // Joiners wait until a host or co-host admits them
+      type: Boolean,
+      default: false
     }
   },
   status: {
@@ -82,7 +123,14 @@ const roomSchema = new mongoose.Schema({
     languages: [String] // Languages detected during the call
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never send the password hash to clients
+    transform: (doc, ret) => {
+      if (ret.settings) delete ret.settings.password;
+      return ret;
+    }
+  }
 });
 
 // Index for efficient queries
@@ -90,6 +138,37 @@ roomSchema.index({ host: 1, status: 1 });
 roomSchema.index({ 'participants.user': 1 });
 roomSchema.index({ createdAt: -1 });
 
+// Hash the room password before saving
+roomSchema.pre('save', async function(next) {
+  if (!this.isModified('settings.password') || !this.settings.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.settings.password = await bcrypt.hash(this.settings.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a join password. Needs the document loaded with '+settings.password'.
+roomSchema.methods.comparePassword = async function(candidatePassword) {
+  const stored = this.settings.password;
+  if (!stored) return true;
+  if (typeof candidatePassword !== 'string') return false;
+
+  // Rooms created before passwords were hashed still hold plaintext; upgrade them on first match
+  if (!/^\$2[aby]\$/.test(stored)) {
+    if (candidatePassword !== stored) return false;
+    // Same value as before, so tell Mongoose it changed or pre('save') won't hash it
+    this.markModified('settings.password');
+    await this.save();
+    return true;
+  }
+
+  return bcrypt.compare(candidatePassword, stored);
+};
+
 // Generate unique room ID
 roomSchema.statics.generateRoomId = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -100,27 +179,40 @@ roomSchema.statics.generateRoomId = function() {
   return result;
 };
 
-// Add participant to room
-roomSchema.methods.addParticipant = function(userId) {
+// Add participant to room. With `admitted: false` they wait in the lobby until added again.
+roomSchema.methods.addParticipant = function(userId, { admitted = true } = {}) {
   const existingParticipant = this.participants.find(
-    p => p.user.toString() === userId.toString() && p.isActive
+    p => (p.user._id || p.user).toString() === userId.toString() && p.isActive
   );
   
   if (!existingParticipant) {
+    // Rejoining keeps the role the user had before
     this.participants.push({
       user: userId,
       joinedAt: new Date(),
-      isActive: true
+      isActive: true,
+      role: this.roleOf(userId) || 'participant',
+      admitted
     });
+  } else if (admitted) {
+    existingParticipant.admitted = true;
   }
   
   return this.save();
 };
 
+// Whether the user is in the room right now and not waiting in the lobby
+roomSchema.methods.isAdmitted = function(userId) {
+  const id = userId.toString();
+  return this.participants.some(
+    p => (p.user._id || p.user).toString() === id && p.isActive && p.admitted !== false
+  );
+};
+
 // Remove participant from room
 roomSchema.methods.removeParticipant = function(userId) {
   const participant = this.participants.find(
-    p => p.user.toString() === userId.toString() && p.isActive
+    p => (p.user._id || p.user).toString() === userId.toString() && p.isActive
   );
   
   if (participant) {
@@ -131,6 +223,67 @@ roomSchema.methods.removeParticipant = function(userId) {
   return this.save();
 };
 
+// Whether the host has banned a user from the room
+roomSchema.methods.isBanned = function(userId) {
+  return this.bannedUsers.some(b => b.user.toString() === userId.toString());
+};
+
+// Ban a user and mark them as having left
+roomSchema.methods.banUser = function(userId, bannedBy, reason) {
+  if (!this.isBanned(userId)) {
+    this.bannedUsers.push({ user: userId, bannedBy, reason });
+  }
+
+  const participant = this.participants.find(
+    p => (p.user._id || p.user).toString() === userId.toString() && p.isActive
+  );
+  if (participant) {
+    participant.isActive = false;
+    participant.leftAt = new Date();
+  }
+
+  return this.save();
+};
+
+// Whether a user is the host or was let in the last time they joined, and hasn't been
+// banned. People waiting in the lobby or denied entry are not members. Needs bannedUsers loaded.
+roomSchema.methods.isMember = function(userId) {
+  const id = userId.toString();
+  const idOf = ref => (ref?._id || ref)?.toString();
+
+  if (this.isBanned(id)) return false;
+  if (idOf(this.host) === id) return true;
+  const entries = this.participants.filter(p => idOf(p.user) === id);
+  return entries.length > 0 && entries[entries.length - 1].admitted !== false;
+};
+
+// The user's role in the room, or null if they have never joined it
+roomSchema.methods.roleOf = function(userId) {
+  const id = userId.toString();
+  const idOf = ref => (ref?._id || ref)?.toString();
+
+  if (idOf(this.host) === id) return 'host';
+  const entries = this.participants.filter(p => idOf(p.user) === id);
+  return entries.length ? entries[entries.length - 1].role || 'participant' : null;
+};
+
+// Give a user a role on every participation entry they have
+roomSchema.methods.setParticipantRole = function(userId, role) {
+  const id = userId.toString();
+  this.participants
+    .filter(p => (p.user._id || p.user).toString() === id)
+    .forEach(p => { p.role = role; });
+};
+
+// Make another member the host; the previous host stays on as a co-host
+roomSchema.methods.transferHost = function(userId) {
+  const previousHost = (this.host._id || this.host).toString();
+  this.setParticipantRole(previousHost, 'co-host');
+  this.setParticipantRole(userId, 'host');
+  this.host = userId;
+  return this.save();
+};
+
 // Get active participants count
 roomSchema.virtual('activeParticipantsCount').get(function() {
   return this.participants.filter(p => p.isActive).length;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+const translationCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  text: {
+    type: String,
+    required: true
+  }, // Normalized source text
+  sourceLanguage: String,
+  targetLanguage: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  translation: {
+    text: String,
+    confidence: Number,
+    sourceLanguage: String
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB remove entries once they expire
+translationCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('TranslationCache', translationCacheSchema);
@@ -32,6 +32,11 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    // Play translated speech (text-to-speech) instead of only showing subtitles
+    hearTranslatedAudio: {
+      type: Boolean,
+      default: false
+    },
     avatarStyle: {
       type: String,
       default: 'default',
@@ -0,0 +1,167 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getCacheStats, clearTranslationCache } from '../services/translationCache.js';
+import { parseGlossaryTermInput } from '../services/glossaryService.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+// Translation cache hit/miss counters
+router.get('/translation-cache', async (req, res) => {
+  try {
+    res.json({ stats: await getCacheStats() });
+  } catch (error) {
+    console.error('Translation cache stats error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cache stats',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Empty the translation cache
+router.delete('/translation-cache', async (req, res) => {
+  try {
+    const deleted = await clearTranslationCache();
+    res.json({
+      message: 'Translation cache cleared',
+      deleted
+    });
+  } catch (error) {
+    console.error('Translation cache clear error:', error);
+    res.status(500).json({
+      error: 'Failed to clear cache',
+      message: 'Internal server error'
+    });
+  }
+});
+
+const findGlobalTerm = (termId) => (
+  mongoose.isValidObjectId(termId)
+    ? GlossaryTerm.findOne({ _id: termId, room: null })
+    : null
+);
+
+// Global glossary, applied to every room
+router.get('/glossary', async (req, res) => {
+  try {
+    const terms = await GlossaryTerm.find({ room: null }).sort({ term: 1 });
+    res.json({ terms });
+  } catch (error) {
+    console.error('Global glossary fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch glossary',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.post('/glossary', async (req, res) => {
+  try {
+    const { value, error } = parseGlossaryTermInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: error
+      });
+    }
+
+    const term = await GlossaryTerm.create({
+      ...value,
+      room: null,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Glossary term added',
+      term
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate term',
+        message: 'This term is already in the global glossary'
+      });
+    }
+    console.error('Global glossary create error:', error);
+    res.status(500).json({
+      error: 'Failed to add glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.put('/glossary/:termId', async (req, res) => {
+  try {
+    const term = await findGlobalTerm(req.params.termId);
+    if (!term) {
+      return res.status(404).json({
+        error: 'Term not found',
+        message: 'The specified glossary term does not exist'
+      });
+    }
+
+    const { value, error } = parseGlossaryTermInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: error
+      });
+    }
+
+    Object.assign(term, value);
+    if (!term.doNotTranslate && term.translations.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: 'Provide at least one forced translation or set doNotTranslate'
+      });
+    }
+    await term.save();
+
+    res.json({
+      message: 'Glossary term updated',
+      term
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate term',
+        message: 'This term is already in the global glossary'
+      });
+    }
+    console.error('Global glossary update error:', error);
+    res.status(500).json({
+      error: 'Failed to update glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+router.delete('/glossary/:termId', async (req, res) => {
+  try {
+    const term = await findGlobalTerm(req.params.termId);
+    if (!term) {
+      return res.status(404).json({
+        error: 'Term not found',
+        message: 'The specified glossary term does not exist'
+      });
+    }
+
+    await term.deleteOne();
+
+    res.json({
+      message: 'Glossary term removed'
+    });
+  } catch (error) {
+    console.error('Global glossary delete error:', error);
+    res.status(500).json({
+      error: 'Failed to remove glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,239 @@
+import express from 'express';
+import multer from 'multer';
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { getAttachmentStorage } from '../services/attachmentStorage/index.js';
+import { publishChatMessage } from '../socket/socketHandler.js';
+import { filterProfanity, slowModeWait, recordChatPost } from '../services/moderationService.js';
+import { canInRoom } from '../services/roomPermissions.js';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const MAX_CAPTION_LENGTH = 2000;
+const DEFAULT_ALLOWED_TYPES = [
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  'application/pdf', 'text/plain',
+  'audio/mpeg', 'audio/webm', 'video/mp4', 'video/webm'
+];
+
+const maxBytes = () => parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || DEFAULT_MAX_BYTES;
+
+// Override with ATTACHMENT_ALLOWED_TYPES (comma separated MIME types)
+const allowedTypes = () => (
+  process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES
+);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxBytes(),
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!allowedTypes().includes(file.mimetype)) {
+      const error = new Error(`Files of type ${file.mimetype} are not allowed`);
+      error.code = 'UNSUPPORTED_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Run multer and turn its errors into JSON responses
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: 'File too large',
+        message: `Attachments are limited to ${(maxBytes() / (1024 * 1024)).toFixed(1)} MB`
+      });
+    }
+    res.status(400).json({
+      error: 'Invalid attachment',
+      message: error.message
+    });
+  });
+};
+
+// Mounted under /api/rooms/:roomId/attachments
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken);
+
+// Only people who belong to the room may upload or download its files
+router.use(async (req, res, next) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId }).select('_id roomId host participants bannedUsers settings.slowModeSeconds');
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!room.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only room participants can share or view attachments'
+      });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Attachment room lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to load room',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Upload a file to the room chat, with an optional caption
+router.post('/', receiveFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid attachment',
+        message: 'Send the file in a "file" form field'
+      });
+    }
+
+    if (!canInRoom(req.room, req.user._id, 'send_messages')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Viewers cannot post in the chat'
+      });
+    }
+
+    const wait = slowModeWait(req.room, req.user._id);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({
+        error: 'Slow mode',
+        message: `Slow mode is on, you can send another message in ${wait}s`
+      });
+    }
+    // Counted before any await, so uploads sent back to back can't all pass the check
+    recordChatPost(req.room, req.user._id);
+
+    const audience = await Message.resolveAudience(req.room, req.user._id, {
+      replyTo: req.body.replyTo,
+      recipientId: req.body.recipientId
+    });
+    if (audience.error) {
+      return res.status(400).json({
+        error: 'Invalid attachment',
+        message: audience.error
+      });
+    }
+
+    const caption = typeof req.body.caption === 'string' ? req.body.caption.trim() : '';
+    if (caption.length > MAX_CAPTION_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid attachment',
+        message: `Captions are limited to ${MAX_CAPTION_LENGTH} characters`
+      });
+    }
+
+    const storage = getAttachmentStorage();
+    const { key } = await storage.save(req.file.buffer, {
+      roomId: req.room.roomId,
+      filename: req.file.originalname,
+      mimeType: req.file.mimetype
+    });
+
+    const language = req.user.preferences?.language || 'en';
+    const message = await Message.create({
+      room: req.room._id,
+      sender: req.user._id,
+      type: 'attachment',
+      ...audience.value,
+      content: {
+        original: { text: filterProfanity(caption, language).text, language }
+      },
+      attachment: {
+        storage: storage.name,
+        key,
+        filename: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      }
+    });
+    await message.populate('sender', 'username profile');
+
+    // Captions are translated and delivered exactly like chat messages
+    await publishChatMessage(req.app.get('io'), req.room.roomId, message);
+
+    res.status(201).json({
+      message: message.toRecipientObject(language)
+    });
+  } catch (error) {
+    console.error('Attachment upload error:', error);
+    res.status(500).json({
+      error: 'Failed to upload attachment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download an attachment (inline for images, ?download=1 to force saving)
+router.get('/:messageId', async (req, res) => {
+  try {
+    const message = mongoose.isValidObjectId(req.params.messageId)
+      ? await Message.findOne({
+        _id: req.params.messageId,
+        room: req.room._id,
+        type: 'attachment',
+        isDeleted: false
+      })
+      : null;
+
+    if (!message || !message.isVisibleTo(req.user._id)) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        message: 'The specified attachment does not exist in this room'
+      });
+    }
+
+    const { storage, key, filename, mimeType, size } = message.attachment;
+    let stream;
+    try {
+      stream = await getAttachmentStorage(storage).createReadStream(key);
+    } catch (error) {
+      console.error('Attachment file missing:', error.message);
+      return res.status(404).json({
+        error: 'Attachment not found',
+        message: 'The file for this attachment is no longer available'
+      });
+    }
+
+    // Only images render inline; anything else is always a download
+    const inline = mimeType.startsWith('image/') && !req.query.download;
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Length': size,
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Attachment download error:', error);
+    res.status(500).json({
+      error: 'Failed to download attachment',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
@@ -162,12 +162,13 @@ router.get('/me', authenticateToken, async (req, res) => {
 // Update user preferences
 router.put('/preferences', authenticateToken, async (req, res) => {
   try {
-    const { language, deafMode, avatarStyle } = req.body;
+    const { language, deafMode, hearTranslatedAudio, avatarStyle } = req.body;
     
     const user = await User.findById(req.user._id);
     
     if (language) user.preferences.language = language;
     if (typeof deafMode === 'boolean') user.preferences.deafMode = deafMode;
+    if (typeof hearTranslatedAudio === 'boolean') user.preferences.hearTranslatedAudio = hearTranslatedAudio;
     if (avatarStyle) user.preferences.avatarStyle = avatarStyle;
     
     await user.save();
@@ -0,0 +1,187 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { parseGlossaryTermInput } from '../services/glossaryService.js';
+import { canInRoom } from '../services/roomPermissions.js';
+
+// Mounted under /api/rooms/:roomId/glossary
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticateToken);
+
+// Resolve the room and whether the requester may read / edit its glossary
+router.use(async (req, res, next) => {
+  try {
+    const room = await Room.findOne({ roomId: req.params.roomId });
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!room.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only room participants can view the glossary'
+      });
+    }
+
+    req.room = room;
+    req.canEditGlossary = canInRoom(room, req.user._id, 'edit_glossary');
+    next();
+  } catch (error) {
+    console.error('Glossary room lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to load room',
+      message: 'Internal server error'
+    });
+  }
+});
+
+const requireGlossaryEditor = (req, res, next) => {
+  if (!req.canEditGlossary) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'Only hosts, co-hosts and interpreters can edit the glossary'
+    });
+  }
+  next();
+};
+
+const findRoomTerm = (req) => (
+  mongoose.isValidObjectId(req.params.termId)
+    ? GlossaryTerm.findOne({ _id: req.params.termId, room: req.room._id })
+    : null
+);
+
+// List the room glossary together with the global terms that apply to it
+router.get('/', async (req, res) => {
+  try {
+    const terms = await GlossaryTerm.find({ room: { $in: [null, req.room._id] } })
+      .sort({ term: 1 })
+      .lean();
+
+    res.json({
+      terms: terms.map(term => ({ ...term, scope: term.room ? 'room' : 'global' }))
+    });
+  } catch (error) {
+    console.error('Glossary fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch glossary',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a term to the room glossary
+router.post('/', requireGlossaryEditor, async (req, res) => {
+  try {
+    const { value, error } = parseGlossaryTermInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: error
+      });
+    }
+
+    const term = await GlossaryTerm.create({
+      ...value,
+      room: req.room._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Glossary term added',
+      term
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate term',
+        message: 'This term is already in the room glossary'
+      });
+    }
+    console.error('Glossary create error:', error);
+    res.status(500).json({
+      error: 'Failed to add glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a room glossary term
+router.put('/:termId', requireGlossaryEditor, async (req, res) => {
+  try {
+    const term = await findRoomTerm(req);
+    if (!term) {
+      return res.status(404).json({
+        error: 'Term not found',
+        message: 'The specified glossary term does not exist in this room'
+      });
+    }
+
+    const { value, error } = parseGlossaryTermInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: error
+      });
+    }
+
+    Object.assign(term, value);
+    if (!term.doNotTranslate && term.translations.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid glossary term',
+        message: 'Provide at least one forced translation or set doNotTranslate'
+      });
+    }
+    await term.save();
+
+    res.json({
+      message: 'Glossary term updated',
+      term
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Duplicate term',
+        message: 'This term is already in the room glossary'
+      });
+    }
+    console.error('Glossary update error:', error);
+    res.status(500).json({
+      error: 'Failed to update glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Remove a term from the room glossary
+router.delete('/:termId', requireGlossaryEditor, async (req, res) => {
+  try {
+    const term = await findRoomTerm(req);
+    if (!term) {
+      return res.status(404).json({
+        error: 'Term not found',
+        message: 'The specified glossary term does not exist in this room'
+      });
+    }
+
+    await term.deleteOne();
+
+    res.json({
+      message: 'Glossary term removed'
+    });
+  } catch (error) {
+    console.error('Glossary delete error:', error);
+    res.status(500).json({
+      error: 'Failed to remove glossary term',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
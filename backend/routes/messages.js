@@ -0,0 +1,117 @@
+import express from 'express';
+import Room from '../models/Room.js';
+import Message from '../models/Message.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { LANGUAGE_CODES } from '../services/languages.js';
+import { extractSearchTerms, buildSnippet } from '../services/searchService.js';
+
+const router = express.Router();
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// The version of the message to show: the requested language if there is
+// one, otherwise whichever version actually contains the search terms
+const pickSearchText = (message, language, terms) => {
+  const { original, translations } = message.content;
+  const versions = [
+    { language: original.language, text: original.text },
+    ...translations.filter(t => !t.degraded).map(t => ({ language: t.language, text: t.text }))
+  ];
+
+  if (language) {
+    return versions.find(v => v.language === language) || versions[0];
+  }
+  return versions.find(v => buildSnippet(v.text, terms).matches.length > 0) || versions[0];
+};
+
+// Search chat messages and subtitles from every room the user took part in
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const language = req.query.lang || null;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1),
+      MAX_SEARCH_LIMIT
+    );
+
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: `Search text is required and limited to ${MAX_QUERY_LENGTH} characters`
+      });
+    }
+
+    if (language && !LANGUAGE_CODES[language]) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        message: `Language ${language} is not supported`
+      });
+    }
+
+    // Lobby entries (admitted: false) don't count, and isMember looks at the
+    // latest entry so someone admitted once but denied since is left out too
+    const rooms = (await Room.find({
+      $or: [
+        { host: req.user._id },
+        { participants: { $elemMatch: { user: req.user._id, admitted: { $ne: false } } } }
+      ],
+      'bannedUsers.user': { $ne: req.user._id }
+    }).select('_id roomId name host participants bannedUsers'))
+      .filter(room => room.isMember(req.user._id));
+
+    if (rooms.length === 0) {
+      return res.json({ results: [] });
+    }
+
+    const conditions = [Message.visibleTo(req.user._id)];
+    if (language) {
+      conditions.push({
+        $or: [
+          { 'content.original.language': language },
+          { 'content.translations': { $elemMatch: { language, degraded: { $ne: true } } } }
+        ]
+      });
+    }
+
+    const messages = await Message.find({
+      $text: { $search: query },
+      room: { $in: rooms.map(room => room._id) },
+      type: { $in: ['text', 'subtitle'] },
+      isDeleted: false,
+      $and: conditions
+    }, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .populate('sender', 'username');
+
+    const roomsById = new Map(rooms.map(room => [room._id.toString(), room]));
+    const terms = extractSearchTerms(query);
+
+    const results = messages.map((message) => {
+      const room = roomsById.get(message.room.toString());
+      const version = pickSearchText(message, language, terms);
+      return {
+        messageId: message._id,
+        room: { roomId: room.roomId, name: room.name },
+        speaker: message.sender?.username || 'Unknown',
+        type: message.type,
+        timestamp: message.metadata.timestamp,
+        language: version.language,
+        snippet: buildSnippet(version.text, terms)
+      };
+    });
+
+    res.json({ results });
+
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({
+      error: 'Failed to search messages',
+      message: 'Internal server error'
+    });
+  }
+});
+
+export default router;
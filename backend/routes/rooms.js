@@ -1,9 +1,33 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Room from '../models/Room.js';
+import Message from '../models/Message.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { LANGUAGE_CODES } from '../services/languages.js';
+import { buildTranscriptEntries, TRANSCRIPT_FORMATS } from '../services/transcriptService.js';
+import { isValidSlowMode } from '../services/moderationService.js';
+import { canInRoom, isValidRole, ROOM_ROLES } from '../services/roomPermissions.js';
+import { broadcastRoomRoles, releaseLobby } from '../socket/socketHandler.js';
+import { checkRoomAdmission, recordRoomJoin, needsLobbyAdmission } from '../services/roomAdmission.js';
+import glossaryRoutes from './glossary.js';
+import attachmentRoutes from './attachments.js';
 
 const router = express.Router();
 
+const HISTORY_MESSAGE_TYPES = ['text', 'subtitle', 'system', 'attachment'];
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 100;
+
+// History cursors are "<createdAt ms>_<message id>" of the oldest message already loaded
+const encodeHistoryCursor = (message) => `${message.createdAt.getTime()}_${message._id}`;
+
+const decodeHistoryCursor = (cursor) => {
+  const [time, id] = String(cursor).split('_');
+  const createdAt = new Date(Number(time));
+  if (Number.isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
 // Create a new room
 router.post('/create', authenticateToken, async (req, res) => {
   try {
@@ -53,7 +77,8 @@ router.post('/create', authenticateToken, async (req, res) => {
     room.participants.push({
       user: req.user._id,
       joinedAt: new Date(),
-      isActive: true
+      isActive: true,
+      role: 'host'
     });
 
     await room.save();
@@ -80,6 +105,7 @@ router.post('/join/:roomId', authenticateToken, async (req, res) => {
     const { password } = req.body;
 
     const room = await Room.findOne({ roomId })
+      .select('+settings.password')
       .populate('host', 'username email profile')
       .populate('participants.user', 'username email profile');
 
@@ -90,45 +116,26 @@ router.post('/join/:roomId', authenticateToken, async (req, res) => {
       });
     }
 
-    if (room.status === 'ended') {
-      return res.status(400).json({
-        error: 'Room ended',
-        message: 'This room has already ended'
+    const rejection = await checkRoomAdmission(room, req.user._id, { password, ip: req.ip });
+    if (rejection) {
+      if (rejection.retryAfter) res.set('Retry-After', String(rejection.retryAfter));
+      return res.status(rejection.status).json({
+        error: rejection.error,
+        message: rejection.message
       });
     }
 
-    // Check if room is private and password is required
-    if (room.settings.isPrivate && room.settings.password !== password) {
-      return res.status(401).json({
-        error: 'Invalid password',
-        message: 'Incorrect room password'
-      });
-    }
-
-    // Check if room is full
-    if (room.activeParticipantsCount >= room.settings.maxParticipants) {
-      return res.status(400).json({
-        error: 'Room full',
-        message: 'This room has reached its maximum capacity'
-      });
-    }
-
-    // Add user to room
-    await room.addParticipant(req.user._id);
-    
-    // Update room status to active if it was waiting
-    if (room.status === 'waiting') {
-      room.status = 'active';
-      room.startedAt = new Date();
-      await room.save();
-    }
+    // With the lobby on, they only get the room's history and files once admitted over the socket
+    const inLobby = needsLobbyAdmission(room, req.user._id);
+    await recordRoomJoin(room, req.user._id, { admitted: !inLobby });
 
     // Populate the updated room
     await room.populate('participants.user', 'username email profile');
 
     res.json({
-      message: 'Joined room successfully',
-      room
+      message: inLobby ? 'Waiting for the host to admit you' : 'Joined room successfully',
+      room,
+      inLobby
     });
 
   } catch (error) {
@@ -178,6 +185,174 @@ router.post('/leave/:roomId', authenticateToken, async (req, res) => {
   }
 });
 
+// Room glossary (terms with forced translations)
+router.use('/:roomId/glossary', glossaryRoutes);
+
+// Files shared in the room chat
+router.use('/:roomId/attachments', attachmentRoutes);
+
+// Get a page of the room's message history, newest page first
+router.get('/:roomId/messages', authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const language = req.query.lang || req.user.preferences?.language || 'en';
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit, 10) || DEFAULT_HISTORY_LIMIT, 1),
+      MAX_HISTORY_LIMIT
+    );
+
+    const types = req.query.type
+      ? String(req.query.type).split(',').map(type => type.trim())
+      : HISTORY_MESSAGE_TYPES;
+    if (types.some(type => !HISTORY_MESSAGE_TYPES.includes(type))) {
+      return res.status(400).json({
+        error: 'Invalid type',
+        message: `Type must be one or more of: ${HISTORY_MESSAGE_TYPES.join(', ')}`
+      });
+    }
+
+    if (!LANGUAGE_CODES[language]) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        message: `Language ${language} is not supported`
+      });
+    }
+
+    const cursor = req.query.before ? decodeHistoryCursor(req.query.before) : null;
+    if (req.query.before && !cursor) {
+      return res.status(400).json({
+        error: 'Invalid cursor',
+        message: 'The before cursor is malformed'
+      });
+    }
+
+    const room = await Room.findOne({ roomId }).select('_id host participants bannedUsers');
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!room.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only room participants can read the message history'
+      });
+    }
+
+    const query = {
+      room: room._id,
+      type: { $in: types },
+      isDeleted: false,
+      $and: [Message.visibleTo(req.user._id)]
+    };
+    if (cursor) {
+      query.$and.push({
+        $or: [
+          { createdAt: { $lt: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { $lt: cursor._id } }
+        ]
+      });
+    }
+
+    // Fetch one extra to know whether there is an earlier page
+    const page = await Message.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .populate('sender', 'username profile');
+
+    const hasMore = page.length > limit;
+    const messages = page.slice(0, limit);
+
+    res.json({
+      messages: messages.map(message => message.toRecipientObject(language)).reverse(),
+      hasMore,
+      nextCursor: hasMore ? encodeHistoryCursor(messages[messages.length - 1]) : null
+    });
+
+  } catch (error) {
+    console.error('Message history fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch messages',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download the room's chat and subtitles as a transcript
+router.get('/:roomId/transcript', authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const format = (req.query.format || 'txt').toLowerCase();
+    const language = req.query.lang || null;
+
+    const formatter = TRANSCRIPT_FORMATS[format];
+    if (!formatter) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `Format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+      });
+    }
+
+    if (language && !LANGUAGE_CODES[language]) {
+      return res.status(400).json({
+        error: 'Unsupported language',
+        message: `Language ${language} is not supported`
+      });
+    }
+
+    const room = await Room.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!room.isMember(req.user._id)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only room participants can download the transcript'
+      });
+    }
+
+    const messages = await Message.find({
+      room: room._id,
+      type: { $in: ['subtitle', 'text'] },
+      isDeleted: false,
+      ...Message.visibleTo(req.user._id)
+    })
+    .populate('sender', 'username')
+    .sort({ 'metadata.timestamp': 1 });
+
+    // Times are relative to when the call started (or the first message, if earlier)
+    const firstAt = messages[0]?.metadata.timestamp;
+    const origin = room.startedAt && (!firstAt || room.startedAt < firstAt)
+      ? room.startedAt
+      : firstAt || new Date();
+
+    const entries = buildTranscriptEntries(messages, language, origin);
+    const body = formatter.render({ room, language, origin, entries });
+    const filename = `transcript-${room.roomId}${language ? `-${language}` : ''}.${format}`;
+
+    res.set({
+      'Content-Type': formatter.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    });
+    res.send(body);
+
+  } catch (error) {
+    console.error('Transcript export error:', error);
+    res.status(500).json({
+      error: 'Failed to export transcript',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get room details
 router.get('/:roomId', authenticateToken, async (req, res) => {
   try {
@@ -205,6 +380,143 @@ router.get('/:roomId', authenticateToken, async (req, res) => {
   }
 });
 
+// Update room settings (hosts and co-hosts)
+router.put('/:roomId/settings', authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { slowModeSeconds, lobbyEnabled } = req.body;
+
+    const room = await Room.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!canInRoom(room, req.user._id, 'update_settings')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only hosts and co-hosts can change room settings'
+      });
+    }
+
+    if (slowModeSeconds !== undefined) {
+      if (!isValidSlowMode(slowModeSeconds)) {
+        return res.status(400).json({
+          error: 'Invalid settings',
+          message: 'slowModeSeconds must be a whole number between 0 and 3600'
+        });
+      }
+      room.settings.slowModeSeconds = slowModeSeconds;
+    }
+
+    if (lobbyEnabled !== undefined) {
+      if (typeof lobbyEnabled !== 'boolean') {
+        return res.status(400).json({
+          error: 'Invalid settings',
+          message: 'lobbyEnabled must be true or false'
+        });
+      }
+      room.settings.lobbyEnabled = lobbyEnabled;
+    }
+
+    await room.save();
+
+    const settings = {
+      slowModeSeconds: room.settings.slowModeSeconds,
+      lobbyEnabled: room.settings.lobbyEnabled
+    };
+    const io = req.app.get('io');
+    io?.to(roomId).emit('room_settings_updated', { roomId, settings });
+    // Turning the lobby off lets everyone who was waiting in
+    if (io && !room.settings.lobbyEnabled) {
+      await releaseLobby(io, roomId);
+    }
+
+    res.json({
+      message: 'Room settings updated',
+      settings
+    });
+
+  } catch (error) {
+    console.error('Room settings update error:', error);
+    res.status(500).json({
+      error: 'Failed to update room settings',
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change a participant's role (host only). Giving someone the host role hands the room over.
+router.put('/:roomId/participants/:userId/role', authenticateToken, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: `role must be one of: ${ROOM_ROLES.join(', ')}`
+      });
+    }
+
+    const room = await Room.findOne({ roomId });
+
+    if (!room) {
+      return res.status(404).json({
+        error: 'Room not found',
+        message: 'The specified room does not exist'
+      });
+    }
+
+    if (!canInRoom(room, req.user._id, 'assign_roles')) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Only the room host can assign roles'
+      });
+    }
+
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'Hand the host role to someone else instead of changing your own'
+      });
+    }
+
+    if (!mongoose.isValidObjectId(userId) || !room.isMember(userId) || room.isBanned(userId)) {
+      return res.status(404).json({
+        error: 'Participant not found',
+        message: 'That user is not a participant in this room'
+      });
+    }
+
+    if (role === 'host') {
+      await room.transferHost(userId);
+    } else {
+      room.setParticipantRole(userId, role);
+      await room.save();
+    }
+
+    broadcastRoomRoles(req.app.get('io'), room);
+
+    res.json({
+      message: 'Participant role updated',
+      userId,
+      role,
+      host: room.host
+    });
+
+  } catch (error) {
+    console.error('Role update error:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get user's rooms
 router.get('/user/my-rooms', authenticateToken, async (req, res) => {
   try {
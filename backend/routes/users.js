@@ -58,7 +58,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
 // Update user preferences
 router.put('/preferences', authenticateToken, async (req, res) => {
   try {
-    const { language, deafMode, notifications } = req.body;
+    const { language, deafMode, hearTranslatedAudio, notifications } = req.body;
 
     const user = await User.findById(req.user._id);
     if (!user) {
@@ -71,6 +71,7 @@ router.put('/preferences', authenticateToken, async (req, res) => {
     // Update preferences
     if (language !== undefined) user.preferences.language = language;
     if (deafMode !== undefined) user.preferences.deafMode = deafMode;
+    if (typeof hearTranslatedAudio === 'boolean') user.preferences.hearTranslatedAudio = hearTranslatedAudio;
     if (notifications !== undefined) user.preferences.notifications = notifications;
 
     await user.save();
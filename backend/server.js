@@ -9,8 +9,12 @@ import mongoose from 'mongoose';
 import authRoutes from './routes/auth.js';
 import roomRoutes from './routes/rooms.js';
 import userRoutes from './routes/users.js';
+import adminRoutes from './routes/admin.js';
+import messageRoutes from './routes/messages.js';
 import { handleSocketConnection } from './socket/socketHandler.js';
 import { socketAuthMiddleware } from './middleware/auth.js';
+import { checkProvidersHealth } from './services/translationProviders/index.js';
+import { checkTranscriptionHealth } from './services/transcriptionProviders/index.js';
 
 const startServer = async () => {
   try {
@@ -37,9 +41,20 @@ const startServer = async () => {
     app.use(express.json());
     app.use(express.urlencoded({ extended: true }));
 
+    // Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client's address
+    if (process.env.TRUST_PROXY) {
+      const hops = parseInt(process.env.TRUST_PROXY, 10);
+      app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+    }
+
+    // REST routes that publish to rooms (e.g. attachments) reach sockets through this
+    app.set('io', io);
+
     app.use('/api/auth', authRoutes);
     app.use('/api/rooms', roomRoutes);
     app.use('/api/users', userRoutes);
+    app.use('/api/admin', adminRoutes);
+    app.use('/api/messages', messageRoutes);
 
     app.get('/api/health', (req, res) => {
       res.json({ 
@@ -49,6 +64,14 @@ const startServer = async () => {
       });
     });
 
+    app.get('/api/health/translation', async (req, res) => {
+      res.json({ providers: await checkProvidersHealth() });
+    });
+
+    app.get('/api/health/transcription', async (req, res) => {
+      res.json({ providers: await checkTranscriptionHealth() });
+    });
+
     // Apply the socket authentication middleware to all incoming connections
     io.use(socketAuthMiddleware);
 
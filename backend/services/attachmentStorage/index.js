@@ -0,0 +1,36 @@
+/**
+ * Storage backends for chat attachments.
+ *
+ * A backend is an object with:
+ *   name                               - stored with each attachment so files stay readable
+ *                                        after ATTACHMENT_STORAGE changes
+ *   save(buffer, { roomId, filename, mimeType }) -> { key }
+ *   createReadStream(key)              -> readable stream (rejects if the file is gone)
+ *   remove(key)
+ *
+ * ATTACHMENT_STORAGE picks the backend for new uploads (default "local").
+ */
+
+import localDiskStorage from './local.js';
+
+const backends = new Map();
+
+/**
+ * Register (or replace) an attachment storage backend.
+ */
+export const registerAttachmentStorage = (backend) => {
+  if (!backend?.name || typeof backend.save !== 'function' || typeof backend.createReadStream !== 'function') {
+    throw new Error('Attachment storage backends need a name, save and createReadStream');
+  }
+  backends.set(backend.name, backend);
+};
+
+export const getAttachmentStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+  const backend = backends.get(name);
+  if (!backend) {
+    throw new Error(`Unknown attachment storage: ${name}`);
+  }
+  return backend;
+};
+
+registerAttachmentStorage(localDiskStorage);
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../uploads');
+
+const baseDir = () => path.resolve(process.env.ATTACHMENT_DIR || DEFAULT_DIR);
+
+// Keys are generated here, but never trust one to stay inside the upload directory
+const resolveKey = (key) => {
+  const filePath = path.resolve(baseDir(), key);
+  if (!filePath.startsWith(baseDir() + path.sep)) {
+    throw new Error(`Invalid attachment key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Stores attachments as files under ATTACHMENT_DIR (default backend/uploads).
+ */
+const localDiskStorage = {
+  name: 'local',
+
+  save: async (buffer, { roomId }) => {
+    const key = path.join(roomId, crypto.randomUUID());
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key };
+  },
+
+  createReadStream: async (key) => {
+    const filePath = resolveKey(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+
+  remove: async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  }
+};
+
+export default localDiskStorage;
@@ -0,0 +1,165 @@
+/**
+ * Audio ingestion for live subtitles.
+ *
+ * Clients stream 16 kHz mono 16-bit PCM chunks from the audio worklet. Chunks
+ * are buffered per speaker and assembled into utterances, which are handed to
+ * the `onUtterance` callback as WAV files ready for transcription.
+ *
+ * Clients run voice activity detection and mark utterance boundaries, but the
+ * buffer still cuts segments on idle gaps and at a maximum length, and skips
+ * segments that do not look like speech so silence never reaches the
+ * transcription API.
+ */
+
+export const SAMPLE_RATE = 16000;
+const BYTES_PER_SAMPLE = 2;
+const BYTES_PER_MS = (SAMPLE_RATE * BYTES_PER_SAMPLE) / 1000;
+
+// Flush when the speaker stops sending audio for this long
+const UTTERANCE_IDLE_MS = 800;
+// Never let a single utterance grow beyond this
+const MAX_UTTERANCE_MS = 8000;
+// Ignore fragments too short to contain a word
+const MIN_UTTERANCE_MS = 400;
+// Refuse oversized chunks (1 s of audio is far more than the worklet sends)
+const MAX_CHUNK_BYTES = SAMPLE_RATE * BYTES_PER_SAMPLE;
+
+// Server-side speech check, evaluated on 20 ms frames
+const FRAME_SAMPLES = SAMPLE_RATE / 50;
+const SPEECH_FRAME_RMS = 0.01; // full scale = 1
+const SPEECH_FRAME_MAX_ZCR = 0.35;
+const MIN_SPEECH_FRAME_RATIO = 0.15;
+
+const speakerBuffers = new Map(); // `${roomId}:${speakerId}` -> buffer state
+
+const bufferKey = (roomId, speakerId) => `${roomId}:${speakerId}`;
+
+/**
+ * Append a PCM chunk to the speaker's buffer.
+ * @param {string} roomId - Room the speaker is talking in
+ * @param {string} speakerId - User ID of the speaker
+ * @param {Buffer} chunk - 16-bit little-endian PCM samples
+ * @param {Function} onUtterance - Called with each assembled utterance
+ * @returns {boolean} Whether the chunk was accepted
+ */
+export const appendAudioChunk = (roomId, speakerId, chunk, onUtterance) => {
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0 || chunk.length > MAX_CHUNK_BYTES) {
+    return false;
+  }
+
+  const key = bufferKey(roomId, speakerId);
+  let state = speakerBuffers.get(key);
+
+  if (!state) {
+    state = { roomId, speakerId, chunks: [], bytes: 0, startedAt: new Date(), timer: null, onUtterance };
+    speakerBuffers.set(key, state);
+  }
+
+  // Drop a trailing odd byte so samples stay aligned
+  const aligned = chunk.length % BYTES_PER_SAMPLE === 0 ? chunk : chunk.subarray(0, chunk.length - 1);
+  state.chunks.push(aligned);
+  state.bytes += aligned.length;
+  state.onUtterance = onUtterance;
+
+  clearTimeout(state.timer);
+  if (state.bytes >= MAX_UTTERANCE_MS * BYTES_PER_MS) {
+    flushSpeaker(roomId, speakerId);
+  } else {
+    state.timer = setTimeout(() => flushSpeaker(roomId, speakerId), UTTERANCE_IDLE_MS);
+  }
+
+  return true;
+};
+
+/**
+ * Emit whatever audio is buffered for a speaker as an utterance.
+ */
+export const flushSpeaker = async (roomId, speakerId) => {
+  const key = bufferKey(roomId, speakerId);
+  const state = speakerBuffers.get(key);
+  if (!state) return;
+
+  clearTimeout(state.timer);
+  speakerBuffers.delete(key);
+
+  const durationMs = state.bytes / BYTES_PER_MS;
+  if (durationMs < MIN_UTTERANCE_MS) return;
+
+  const pcm = Buffer.concat(state.chunks, state.bytes);
+  if (!isLikelySpeech(pcm)) return;
+
+  try {
+    await state.onUtterance({
+      roomId,
+      speakerId,
+      audio: encodeWav(pcm),
+      format: 'wav',
+      durationMs,
+      startedAt: state.startedAt,
+      endedAt: new Date(state.startedAt.getTime() + durationMs)
+    });
+  } catch (error) {
+    console.error(`[Audio] Failed to process utterance for ${speakerId} in ${roomId}:`, error);
+  }
+};
+
+/**
+ * Flush every buffer a speaker has open (e.g. when they leave or disconnect).
+ */
+export const flushAllForSpeaker = (speakerId) => {
+  const pending = [...speakerBuffers.values()].filter(s => s.speakerId === speakerId);
+  return Promise.all(pending.map(s => flushSpeaker(s.roomId, s.speakerId)));
+};
+
+/**
+ * Energy / zero-crossing check: true when enough 20 ms frames are voiced.
+ */
+export const isLikelySpeech = (pcm) => {
+  const totalSamples = Math.floor(pcm.length / BYTES_PER_SAMPLE);
+  const frames = Math.floor(totalSamples / FRAME_SAMPLES);
+  if (frames === 0) return false;
+
+  let voicedFrames = 0;
+  for (let frame = 0; frame < frames; frame++) {
+    let energy = 0;
+    let crossings = 0;
+    let previous = 0;
+
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const sample = pcm.readInt16LE((frame * FRAME_SAMPLES + i) * BYTES_PER_SAMPLE);
+      energy += (sample / 0x8000) ** 2;
+      if (i > 0 && (sample >= 0) !== (previous >= 0)) crossings++;
+      previous = sample;
+    }
+
+    const rms = Math.sqrt(energy / FRAME_SAMPLES);
+    if (rms > SPEECH_FRAME_RMS && crossings / FRAME_SAMPLES < SPEECH_FRAME_MAX_ZCR) {
+      voicedFrames++;
+    }
+  }
+
+  return voicedFrames / frames >= MIN_SPEECH_FRAME_RATIO;
+};
+
+/**
+ * Wrap raw 16-bit mono PCM in a WAV container.
+ */
+export const encodeWav = (pcm, sampleRate = SAMPLE_RATE) => {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // PCM chunk size
+  header.writeUInt16LE(1, 20); // PCM format
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * BYTES_PER_SAMPLE, 28); // byte rate
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32); // block align
+  header.writeUInt16LE(8 * BYTES_PER_SAMPLE, 34); // bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+};
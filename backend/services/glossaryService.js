@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import GlossaryTerm from '../models/GlossaryTerm.js';
+import { LANGUAGE_CODES } from './languages.js';
+
+/**
+ * Glossary enforcement for translations.
+ *
+ * Providers that accept instructions (OpenAI) are told which terms to keep or
+ * force. For the others, matching terms are swapped for opaque placeholders
+ * before translation and replaced with the forced text afterwards.
+ */
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Scripts that separate words with spaces, where terms must match whole words
+const WORD_SEPARATED_SCRIPT = /^[\p{Script=Latin}\p{Script=Cyrillic}\p{N}\s.'&+-]+$/u;
+
+const termPattern = (term, flags) => {
+  const escaped = escapeRegExp(term.term);
+  const source = WORD_SEPARATED_SCRIPT.test(term.term)
+    ? `(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`
+    : escaped;
+  return new RegExp(source, `${flags}${term.caseSensitive ? '' : 'i'}u`);
+};
+
+const forcedText = (term, targetLanguage) => {
+  const translation = term.translations?.find(t => t.language === targetLanguage);
+  if (translation) return translation.text;
+  return term.doNotTranslate ? term.term : null;
+};
+
+/**
+ * Load the glossary that applies to a room: its own terms plus the global
+ * glossary, with room terms taking precedence over global ones.
+ * @param {ObjectId} roomObjectId - Room document ID (not the public roomId)
+ */
+export const loadGlossary = async (roomObjectId) => {
+  const terms = await GlossaryTerm.find({ room: { $in: [null, roomObjectId] } }).lean();
+
+  const byTerm = new Map();
+  // Global terms first so room terms overwrite them
+  terms
+    .sort((a, b) => (a.room ? 1 : 0) - (b.room ? 1 : 0))
+    .forEach(term => byTerm.set(term.term.toLowerCase(), term));
+
+  return [...byTerm.values()];
+};
+
+/**
+ * Terms that occur in the text and change something for the target language,
+ * longest first so "heart rate monitor" wins over "heart rate".
+ */
+export const matchGlossaryTerms = (text, glossary = [], targetLanguage) => glossary
+  .filter(term => forcedText(term, targetLanguage) !== null && termPattern(term, '').test(text))
+  .sort((a, b) => b.term.length - a.term.length);
+
+/**
+ * Stable fingerprint of the terms applied to a translation, used in cache keys.
+ */
+export const glossaryFingerprint = (terms, targetLanguage) => {
+  if (!terms.length) return '';
+  return crypto
+    .createHash('sha1')
+    .update(terms.map(term => `${term.term}\u0000${forcedText(term, targetLanguage)}`).sort().join('\u0001'))
+    .digest('hex');
+};
+
+/**
+ * Replace glossary terms with placeholders that translation engines leave alone.
+ * @returns {Object} { text, placeholders: [{ token, replacement }] }
+ */
+export const protectTerms = (text, terms, targetLanguage) => {
+  const placeholders = [];
+  let protectedText = text;
+
+  terms.forEach(term => {
+    protectedText = protectedText.replace(termPattern(term, 'g'), () => {
+      const token = `__GL${placeholders.length}__`;
+      placeholders.push({ token, replacement: forcedText(term, targetLanguage) });
+      return token;
+    });
+  });
+
+  return { text: protectedText, placeholders };
+};
+
+/**
+ * Put the forced text back where the placeholders ended up. Engines sometimes
+ * add spaces inside or drop an underscore, so the match is lenient.
+ */
+export const restoreTerms = (translatedText, placeholders) => {
+  if (!placeholders.length) return translatedText;
+
+  return translatedText.replace(/_{1,2}\s*GL\s*(\d+)\s*_{1,2}/gi, (match, index) => {
+    const placeholder = placeholders[Number(index)];
+    return placeholder ? placeholder.replacement : match;
+  });
+};
+
+/**
+ * Prompt text telling an LLM translator how to handle glossary terms.
+ */
+export const buildGlossaryInstructions = (terms, targetLanguage) => {
+  if (!terms.length) return '';
+
+  const targetLangName = LANGUAGE_CODES[targetLanguage] || targetLanguage;
+  const lines = terms.map(term => {
+    const forced = forcedText(term, targetLanguage);
+    return forced === term.term
+      ? `- "${term.term}": keep exactly as written, do not translate`
+      : `- "${term.term}": always translate as "${forced}"`;
+  });
+
+  return `Follow this glossary when translating into ${targetLangName}:\n${lines.join('\n')}`;
+};
+
+/**
+ * Validate and normalize glossary term input from a request body.
+ * @returns {Object} { value } or { error }
+ */
+export const parseGlossaryTermInput = (body, { partial = false } = {}) => {
+  const value = {};
+
+  if (body.term !== undefined || !partial) {
+    if (typeof body.term !== 'string' || body.term.trim().length === 0) {
+      return { error: 'Term is required' };
+    }
+    if (body.term.trim().length > 100) {
+      return { error: 'Terms are limited to 100 characters' };
+    }
+    value.term = body.term.trim();
+  }
+
+  if (body.translations !== undefined) {
+    const entries = Array.isArray(body.translations)
+      ? body.translations
+      : Object.entries(body.translations || {}).map(([language, text]) => ({ language, text }));
+
+    for (const entry of entries) {
+      if (!LANGUAGE_CODES[entry?.language]) {
+        return { error: `Unsupported language: ${entry?.language}` };
+      }
+      if (typeof entry.text !== 'string' || entry.text.trim().length === 0) {
+        return { error: `Translation for ${entry.language} must not be empty` };
+      }
+    }
+    value.translations = entries.map(({ language, text }) => ({ language, text: text.trim() }));
+  }
+
+  if (body.doNotTranslate !== undefined) value.doNotTranslate = Boolean(body.doNotTranslate);
+  if (body.caseSensitive !== undefined) value.caseSensitive = Boolean(body.caseSensitive);
+
+  if (!partial && !value.doNotTranslate && !value.translations?.length) {
+    return { error: 'Provide at least one forced translation or set doNotTranslate' };
+  }
+
+  return { value };
+};
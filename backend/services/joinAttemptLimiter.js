@@ -0,0 +1,108 @@
+/**
+ * Limits wrong room password attempts, per user and per IP address, so
+ * private room passwords can't be guessed.
+ *
+ * Configure with:
+ *   ROOM_JOIN_MAX_ATTEMPTS      wrong passwords per user and room before lockout (default 5)
+ *   ROOM_JOIN_MAX_IP_ATTEMPTS   wrong passwords per IP and room before lockout (default 20)
+ *   ROOM_JOIN_WINDOW_MS         how long failures are remembered (default 900000)
+ *   ROOM_JOIN_LOCKOUT_MS        how long a lockout lasts (default 900000)
+ */
+
+const PRUNE_SIZE = 5000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const attempts = new Map(); // "roomId:user:id" or "roomId:ip:address" -> { failures, firstAt, lockedUntil }
+
+const keysFor = (roomId, userId, ip) => [
+  { key: `${roomId}:user:${userId}`, max: envInt('ROOM_JOIN_MAX_ATTEMPTS', 5) },
+  { key: `${roomId}:ip:${ip}`, max: envInt('ROOM_JOIN_MAX_IP_ATTEMPTS', 20) }
+];
+
+const prune = (now) => {
+  if (attempts.size <= PRUNE_SIZE) return;
+  const windowMs = envInt('ROOM_JOIN_WINDOW_MS', 900000);
+  attempts.forEach((entry, key) => {
+    if (entry.lockedUntil <= now && now - entry.firstAt > windowMs) attempts.delete(key);
+  });
+};
+
+/**
+ * Seconds until the user may try the room's password again, 0 if they may try now.
+ */
+export const joinLockoutRemaining = (roomId, userId, ip) => {
+  const now = Date.now();
+  const lockedUntil = Math.max(0, ...keysFor(roomId, userId, ip)
+    .map(({ key }) => attempts.get(key)?.lockedUntil || 0));
+  return lockedUntil > now ? Math.ceil((lockedUntil - now) / 1000) : 0;
+};
+
+const entryFor = (key, now) => {
+  const windowMs = envInt('ROOM_JOIN_WINDOW_MS', 900000);
+  let entry = attempts.get(key);
+  if (!entry || (entry.lockedUntil <= now && now - entry.firstAt > windowMs)) {
+    entry = { failures: 0, firstAt: now, lockedUntil: 0 };
+    attempts.set(key, entry);
+  }
+  return entry;
+};
+
+const lock = (entry, now) => {
+  const lockoutMs = envInt('ROOM_JOIN_LOCKOUT_MS', 900000);
+  // The allowance starts over once the lockout ends
+  Object.assign(entry, { failures: 0, firstAt: now + lockoutMs, lockedUntil: now + lockoutMs });
+  return Math.ceil(lockoutMs / 1000);
+};
+
+/**
+ * Count a password attempt before checking it, so attempts made in parallel
+ * can't all slip past the limit while the hash is compared. Returns the
+ * lockout in seconds if the attempt is refused, otherwise 0. Follow up with
+ * settleFailedJoin or settleSuccessfulJoin.
+ */
+export const reserveJoinAttempt = (roomId, userId, ip) => {
+  const locked = joinLockoutRemaining(roomId, userId, ip);
+  if (locked > 0) return locked;
+
+  const now = Date.now();
+  prune(now);
+
+  let lockedFor = 0;
+  keysFor(roomId, userId, ip).forEach(({ key, max }) => {
+    const entry = entryFor(key, now);
+    entry.failures++;
+    if (entry.failures > max) lockedFor = Math.max(lockedFor, lock(entry, now));
+  });
+  return lockedFor;
+};
+
+/**
+ * The reserved attempt had a wrong password. Returns the lockout in seconds
+ * if it used up the allowance, otherwise 0.
+ */
+export const settleFailedJoin = (roomId, userId, ip) => {
+  const now = Date.now();
+  let lockedFor = 0;
+  keysFor(roomId, userId, ip).forEach(({ key, max }) => {
+    const entry = attempts.get(key);
+    if (entry && entry.lockedUntil <= now && entry.failures >= max) {
+      lockedFor = Math.max(lockedFor, lock(entry, now));
+    }
+  });
+  return lockedFor;
+};
+
+/**
+ * The reserved attempt had the right password. The user's failures are
+ * forgotten; failures from their IP address still count, so one account
+ * can't reset a shared limit.
+ */
+export const settleSuccessfulJoin = (roomId, userId, ip) => {
+  attempts.delete(`${roomId}:user:${userId}`);
+  const ipEntry = attempts.get(`${roomId}:ip:${ip}`);
+  if (ipEntry?.failures > 0) ipEntry.failures--;
+};
@@ -0,0 +1,10 @@
+import fs from 'fs';
+import { createLanguageDetector } from '../../shared/languageDetection/detector.js';
+
+// Offline n-gram model shared with the frontend
+const model = JSON.parse(fs.readFileSync(
+  new URL('../../shared/languageDetection/trigramModel.json', import.meta.url),
+  'utf8'
+));
+
+export const { detectLanguage, detectLanguageCandidates } = createLanguageDetector(model);
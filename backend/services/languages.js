@@ -0,0 +1,18 @@
+// Language code mappings shared by the translation and transcription services
+export const LANGUAGE_CODES = {
+  'en': 'English',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'it': 'Italian',
+  'pt': 'Portuguese',
+  'ru': 'Russian',
+  'zh': 'Chinese',
+  'ja': 'Japanese',
+  'ko': 'Korean',
+  'hi': 'Hindi',
+  'ta': 'Tamil',
+  'ar': 'Arabic'
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGE_CODES);
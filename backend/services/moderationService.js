@@ -0,0 +1,110 @@
+/**
+ * Chat moderation helpers: a per-language word filter and slow mode.
+ *
+ * Word lists are read from MODERATION_WORDLIST_FILE if set, otherwise from the
+ * bundled moderationWords.json. Either is a JSON object mapping language codes
+ * to arrays of words; the "*" list applies to every language. Set
+ * MODERATION_WORDLIST_FILE to an empty object file to turn the filter off.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { canInRoom } from './roomPermissions.js';
+
+const DEFAULT_WORDLIST_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'moderationWords.json');
+
+// Scripts written without spaces between words can't use word boundaries
+const UNSEGMENTED_LANGUAGES = ['zh', 'ja', 'th'];
+
+const SLOW_MODE_PRUNE_SIZE = 5000;
+const MAX_SLOW_MODE_SECONDS = 3600;
+
+let filters = null; // language -> RegExp
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildFilter = (words, language) => {
+  if (words.length === 0) return null;
+  const alternatives = words
+    .map(word => escapeRegExp(word.trim()))
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length) // Longest first, so "bullshit" wins over "shit"
+    .join('|');
+  return UNSEGMENTED_LANGUAGES.includes(language)
+    ? new RegExp(alternatives, 'giu')
+    : new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+};
+
+const loadFilters = () => {
+  if (filters) return filters;
+
+  const file = process.env.MODERATION_WORDLIST_FILE || DEFAULT_WORDLIST_FILE;
+  let lists = {};
+  try {
+    lists = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load moderation word list ${file}, chat will not be filtered:`, error.message);
+  }
+
+  const common = lists['*'] || [];
+  filters = new Map(Object.entries(lists)
+    .filter(([language]) => language !== '*')
+    .map(([language, words]) => [language, buildFilter([...words, ...common], language)]));
+  filters.set('*', buildFilter(common, '*'));
+  return filters;
+};
+
+/**
+ * Replace listed words with asterisks.
+ * @param {string} text - Message, caption, transcript or translation
+ * @param {string} language - Language code of the text
+ * @returns {Object} { text, filtered } - filtered is true if anything was masked
+ */
+export const filterProfanity = (text, language) => {
+  if (!text) return { text, filtered: false };
+
+  const lists = loadFilters();
+  const filter = lists.has(language) ? lists.get(language) : lists.get('*');
+  if (!filter) return { text, filtered: false };
+
+  let filtered = false;
+  const masked = text.replace(filter, (match) => {
+    filtered = true;
+    return '*'.repeat([...match].length);
+  });
+  return { text: masked, filtered };
+};
+
+export const isValidSlowMode = (seconds) => (
+  Number.isInteger(seconds) && seconds >= 0 && seconds <= MAX_SLOW_MODE_SECONDS
+);
+
+const lastMessageAt = new Map(); // "roomId:userId" -> ms
+
+/**
+ * Seconds a user must still wait before posting in the room, 0 if they may
+ * post now. Hosts and co-hosts are never slowed down.
+ * @param {Object} room - Room document with roomId, host, participants and settings
+ */
+export const slowModeWait = (room, userId) => {
+  const seconds = room.settings?.slowModeSeconds || 0;
+  if (!seconds || canInRoom(room, userId, 'bypass_slow_mode')) return 0;
+
+  const last = lastMessageAt.get(`${room.roomId}:${userId}`);
+  if (!last) return 0;
+  return Math.max(0, Math.ceil(seconds - (Date.now() - last) / 1000));
+};
+
+/**
+ * Remember that a user just posted, for slow mode.
+ */
+export const recordChatPost = (room, userId) => {
+  if (lastMessageAt.size > SLOW_MODE_PRUNE_SIZE) {
+    const cutoff = Date.now() - MAX_SLOW_MODE_SECONDS * 1000;
+    lastMessageAt.forEach((time, key) => {
+      if (time < cutoff) lastMessageAt.delete(key);
+    });
+  }
+  lastMessageAt.set(`${room.roomId}:${userId}`, Date.now());
+};
@@ -0,0 +1,133 @@
+/**
+ * Timeouts, retries and circuit breakers for calls to external AI services.
+ *
+ * Configure with:
+ *   AI_TIMEOUT_MS                 per-attempt timeout (default 10000)
+ *   TRANSCRIPTION_TIMEOUT_MS      per-attempt timeout for speech-to-text (default 30000)
+ *   AI_RETRIES                    retries after the first attempt (default 2)
+ *   AI_RETRY_BASE_DELAY_MS        first backoff delay, doubled each retry (default 300)
+ *   AI_CIRCUIT_FAILURE_THRESHOLD  consecutive failed calls that open a circuit (default 5)
+ *   AI_CIRCUIT_RESET_MS           how long an open circuit rejects calls (default 30000)
+ */
+
+const MAX_RETRY_DELAY_MS = 5000;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+export const aiTimeoutMs = () => envInt('AI_TIMEOUT_MS', 10000);
+export const transcriptionTimeoutMs = () => envInt('TRANSCRIPTION_TIMEOUT_MS', 30000);
+
+const circuits = new Map(); // name -> { state, failures, openedAt, lastError }
+
+const getCircuit = (name) => {
+  if (!circuits.has(name)) {
+    circuits.set(name, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  }
+  return circuits.get(name);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Timeouts, network errors, rate limits and server errors are worth retrying;
+ * other client errors (bad key, bad request) will fail the same way again.
+ */
+const isRetryable = (error) => {
+  if (error.code === 'ETIMEDOUT') return true;
+  const status = error.status ?? error.statusCode;
+  if (!status) return true;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+/**
+ * Run `fn(signal)`, aborting it if it takes longer than `timeoutMs`.
+ */
+export const withTimeout = async (fn, timeoutMs, label) => {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      // Settle with the timeout before aborting, so callers see why it failed
+      reject(error);
+      controller.abort();
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Call an external service through its circuit breaker, with a timeout on
+ * every attempt and exponential backoff between retries.
+ * @param {string} name - Circuit name, usually the provider name
+ * @param {Function} fn - async (signal) => result
+ * @param {Object} options - { timeoutMs, retries }
+ */
+export const callWithResilience = async (name, fn, options = {}) => {
+  const circuit = getCircuit(name);
+  const resetMs = envInt('AI_CIRCUIT_RESET_MS', 30000);
+
+  if (circuit.state === 'open') {
+    if (Date.now() - circuit.openedAt < resetMs) {
+      const error = new Error(`${name} is unavailable (circuit open)`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+    // Let one call through to see whether the service has recovered
+    circuit.state = 'half-open';
+  }
+
+  const timeoutMs = options.timeoutMs ?? aiTimeoutMs();
+  const retries = circuit.state === 'half-open' ? 0 : options.retries ?? envInt('AI_RETRIES', 2);
+  const baseDelayMs = envInt('AI_RETRY_BASE_DELAY_MS', 300);
+
+  let lastError;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+      // Jitter keeps concurrent callers from retrying in lockstep
+      await sleep(delay / 2 + Math.random() * delay / 2);
+    }
+
+    try {
+      const result = await withTimeout(fn, timeoutMs, name);
+      Object.assign(circuit, { state: 'closed', failures: 0, openedAt: null });
+      return result;
+    } catch (error) {
+      lastError = error;
+      if (!isRetryable(error)) break;
+      if (attempt < retries) {
+        console.warn(`${name} attempt ${attempt + 1} failed, retrying:`, error.message);
+      }
+    }
+  }
+
+  circuit.failures++;
+  circuit.lastError = lastError.message;
+  const threshold = envInt('AI_CIRCUIT_FAILURE_THRESHOLD', 5);
+  if (circuit.state === 'half-open' || circuit.failures >= threshold) {
+    if (circuit.state !== 'open') {
+      console.warn(`⚡ Circuit for ${name} opened after ${circuit.failures} failures`);
+    }
+    Object.assign(circuit, { state: 'open', openedAt: Date.now() });
+  }
+
+  throw lastError;
+};
+
+/**
+ * Circuit states for diagnostics.
+ */
+export const getCircuitStates = () => Object.fromEntries(
+  [...circuits.entries()].map(([name, circuit]) => [name, { ...circuit }])
+);
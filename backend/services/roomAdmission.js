@@ -0,0 +1,97 @@
+/**
+ * Who may join a room. Shared by the REST join route and the socket
+ * `join_room` handler so neither path can skip a check.
+ *
+ * People already in the room (the host, or anyone with an active
+ * participation) are let back in without the password or capacity checks,
+ * so a socket can follow the REST join that admitted it.
+ */
+
+import { joinLockoutRemaining, reserveJoinAttempt, settleFailedJoin, settleSuccessfulJoin } from './joinAttemptLimiter.js';
+import { canInRoom } from './roomPermissions.js';
+
+const idOf = ref => (ref?._id || ref)?.toString();
+
+const tooManyAttempts = (retryAfter) => ({
+  status: 429,
+  error: 'Too many attempts',
+  message: `Too many wrong passwords, try again in ${Math.ceil(retryAfter / 60)} minutes`,
+  retryAfter
+});
+
+/**
+ * Whether the user is the host or has an active participation in the room.
+ */
+export const isInRoom = (room, userId) => {
+  const id = userId.toString();
+  return idOf(room.host) === id
+    || room.participants.some(p => p.isActive && idOf(p.user) === id);
+};
+
+/**
+ * Check whether a user may join a room. Wrong passwords count towards the
+ * join attempt limit.
+ * @param {Object} room - Room document loaded with '+settings.password'
+ * @param {Object} options - { password, ip }
+ * @returns {Promise<Object|null>} null if they may join, otherwise
+ *   { status, error, message, retryAfter } describing why not
+ */
+export const checkRoomAdmission = async (room, userId, { password, ip } = {}) => {
+  if (room.status === 'ended') {
+    return { status: 400, error: 'Room ended', message: 'This room has already ended' };
+  }
+
+  if (room.isBanned(userId)) {
+    return { status: 403, error: 'Banned', message: 'The host has removed you from this room' };
+  }
+
+  if (isInRoom(room, userId)) return null;
+
+  // Private rooms that never had a password set let people in without one
+  if (room.settings.isPrivate && room.settings.password) {
+    const retryAfter = joinLockoutRemaining(room.roomId, userId, ip);
+    if (retryAfter > 0) return tooManyAttempts(retryAfter);
+
+    if (password === undefined) {
+      return { status: 401, error: 'Password required', message: 'This room is private, enter its password to join' };
+    }
+
+    // Counted before the slow hash comparison, so parallel guesses hit the limit too
+    const refusedFor = reserveJoinAttempt(room.roomId, userId, ip);
+    if (refusedFor > 0) return tooManyAttempts(refusedFor);
+
+    if (!(await room.comparePassword(password))) {
+      const lockedFor = settleFailedJoin(room.roomId, userId, ip);
+      if (lockedFor > 0) return tooManyAttempts(lockedFor);
+      return { status: 401, error: 'Invalid password', message: 'Incorrect room password' };
+    }
+    settleSuccessfulJoin(room.roomId, userId, ip);
+  }
+
+  if (room.activeParticipantsCount >= room.settings.maxParticipants) {
+    return { status: 400, error: 'Room full', message: 'This room has reached its maximum capacity' };
+  }
+
+  return null;
+};
+
+/**
+ * Whether a user has to wait in the lobby until a host or co-host admits them.
+ */
+export const needsLobbyAdmission = (room, userId) => (
+  room.settings.lobbyEnabled
+    && !canInRoom(room, userId, 'admit_participants')
+    && !room.isAdmitted(userId)
+);
+
+/**
+ * Record that a user joined, starting the room if it was waiting. With
+ * `admitted: false` they are only recorded as waiting in the lobby.
+ */
+export const recordRoomJoin = async (room, userId, { admitted = true } = {}) => {
+  if (admitted && room.status === 'waiting') {
+    room.status = 'active';
+    room.startedAt = new Date();
+  }
+  await room.addParticipant(userId, { admitted });
+};
@@ -0,0 +1,65 @@
+/**
+ * What each participant role may do in a room.
+ *
+ * Roles, from most to least privileged:
+ *   host         - runs the room; there is exactly one (Room.host)
+ *   co-host      - helps run the call and takes over if the host drops out
+ *   interpreter  - keeps the room glossary up to date
+ *   participant  - everyone who joins, unless the host says otherwise
+ *   viewer       - watches and reads along, but can't talk or post
+ *
+ * REST routes and socket handlers ask `canInRoom` instead of comparing
+ * against Room.host, so a role change takes effect everywhere at once.
+ */
+
+import { ROOM_ROLES } from '../models/Room.js';
+
+export { ROOM_ROLES };
+
+export const ROLE_PERMISSIONS = {
+  assign_roles: ['host'],
+  update_settings: ['host', 'co-host'],
+  manage_participants: ['host', 'co-host'], // mute, stop video, remove, ban
+  admit_participants: ['host', 'co-host'], // let people in from the lobby
+  moderate_messages: ['host', 'co-host'],
+  bypass_slow_mode: ['host', 'co-host'],
+  edit_glossary: ['host', 'co-host', 'interpreter'],
+  send_messages: ['host', 'co-host', 'interpreter', 'participant'],
+  speak: ['host', 'co-host', 'interpreter', 'participant']
+};
+
+export const isValidRole = (role) => ROOM_ROLES.includes(role);
+
+/**
+ * Whether a role grants a permission. Unknown roles and permissions grant nothing.
+ */
+export const hasPermission = (role, permission) => Boolean(
+  role && ROLE_PERMISSIONS[permission]?.includes(role)
+);
+
+/**
+ * Whether a user's role in the room grants a permission.
+ * @param {Object} room - Room document with host and participants
+ */
+export const canInRoom = (room, userId, permission) => hasPermission(room.roleOf(userId), permission);
+
+/**
+ * Whether `role` ranks strictly above `otherRole`, e.g. a co-host may act
+ * on participants but not on the host or other co-hosts.
+ */
+export const outranks = (role, otherRole) => (
+  isValidRole(role) && ROOM_ROLES.indexOf(role) < ROOM_ROLES.indexOf(otherRole || 'participant')
+);
+
+/**
+ * Role of every user who has joined the room, keyed by user id.
+ */
+export const getRoomRoles = (room) => {
+  const roles = {};
+  room.participants.forEach(p => {
+    const id = (p.user._id || p.user).toString();
+    roles[id] = room.roleOf(id);
+  });
+  roles[(room.host._id || room.host).toString()] = 'host';
+  return roles;
+};
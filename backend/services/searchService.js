@@ -0,0 +1,72 @@
+/**
+ * Helpers for message search: query terms and highlighted snippets.
+ */
+
+const SNIPPET_CONTEXT_CHARS = 60;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words and quoted phrases from a MongoDB $text search string, without
+ * negated terms (those never appear in a match).
+ * @param {string} query - Search string as typed by the user
+ * @returns {Array<string>} Terms to highlight
+ */
+export const extractSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) terms.push(term);
+  }
+  return terms;
+};
+
+/**
+ * Character ranges of every term in the text (case-insensitive), sorted and merged.
+ * @returns {Array<[number, number]>} [start, end) pairs
+ */
+export const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'giu');
+  const ranges = [...text.matchAll(pattern)]
+    .map(match => [match.index, match.index + match[0].length])
+    .sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
+
+/**
+ * A short excerpt around the first match, with match ranges relative to it.
+ * Ranges are returned instead of markup so clients can render them safely.
+ * @returns {Object} { text, matches }
+ */
+export const buildSnippet = (text, terms) => {
+  const matches = findMatches(text, terms);
+  if (matches.length === 0 || text.length <= SNIPPET_CONTEXT_CHARS * 2) {
+    return { text, matches };
+  }
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT_CHARS);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_CONTEXT_CHARS);
+  const prefix = start > 0 ? '…' : '';
+  const offset = prefix.length - start;
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: matches
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from + offset, to + offset])
+  };
+};
@@ -0,0 +1,108 @@
+/**
+ * Renders a room's chat and subtitle messages as a downloadable transcript.
+ */
+
+// Chat messages have no duration, so give readers time proportional to length
+const MIN_TEXT_CUE_SECONDS = 2;
+const MAX_TEXT_CUE_SECONDS = 8;
+const SECONDS_PER_WORD = 0.4;
+
+const textCueSeconds = (text) => Math.min(
+  MAX_TEXT_CUE_SECONDS,
+  Math.max(MIN_TEXT_CUE_SECONDS, 1 + text.split(/\s+/).length * SECONDS_PER_WORD)
+);
+
+// Subtitles from the mock transcription (speech-to-text was unavailable)
+// hold placeholder text, not what was said
+const isMockSubtitle = (message) => message.type === 'subtitle'
+  && Boolean(message.audioData?.transcription?.degraded);
+
+/**
+ * Turn messages into transcript entries in the requested language,
+ * falling back to the original text when there is no real translation.
+ * Subtitles from the mock transcription are left out.
+ * @param {Array} messages - Message documents sorted by metadata.timestamp, sender populated
+ * @param {string} language - Target language code, or null for the original text
+ * @param {Date} origin - Time that becomes 00:00:00
+ * @returns {Array} [{ start, end, speaker, type, language, text, original }], times in seconds
+ */
+export const buildTranscriptEntries = (messages, language, origin) => messages
+  .filter(message => !isMockSubtitle(message))
+  .map((message) => {
+    const original = message.content.original;
+    const translation = language && language !== original.language
+      ? message.getTranslation(language)
+      : null;
+    const useTranslation = translation && !translation.degraded;
+    const text = useTranslation ? translation.text : original.text;
+
+    const start = Math.max(0, (message.metadata.timestamp - origin) / 1000);
+    const duration = message.type === 'subtitle' && message.audioData?.duration
+      ? message.audioData.duration
+      : textCueSeconds(text);
+
+    return {
+      id: message._id.toString(),
+      start,
+      end: start + duration,
+      speaker: message.sender?.username || 'Unknown',
+      type: message.type,
+      language: useTranslation ? language : original.language,
+      text,
+      original: original.text
+    };
+  });
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+// A blank line ends a cue in SRT and VTT, so each cue's text stays on one line
+const singleLine = (text) => text.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+
+// Escaping ">" also turns "-->" into "--&gt;", which VTT doesn't allow in cue text
+const escapeVtt = (text) => singleLine(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const renderSrt = ({ entries }) => entries
+  .map((entry, index) => [
+    index + 1,
+    `${formatTimestamp(entry.start, ',')} --> ${formatTimestamp(entry.end, ',')}`,
+    singleLine(`${entry.speaker}: ${entry.text}`)
+  ].join('\n'))
+  .join('\n\n') + '\n';
+
+const renderVtt = ({ entries }) => ['WEBVTT', ...entries.map(entry => [
+  `${formatTimestamp(entry.start, '.')} --> ${formatTimestamp(entry.end, '.')}`,
+  `<v ${escapeVtt(entry.speaker)}>${escapeVtt(entry.text)}`
+].join('\n'))].join('\n\n') + '\n';
+
+const renderTxt = ({ room, entries }) => [
+  `Transcript: ${room.name} (${room.roomId})`,
+  '',
+  ...entries.map(entry => `[${formatTimestamp(entry.start, '.').slice(0, 8)}] ${entry.speaker}: ${entry.text}`)
+].join('\n') + '\n';
+
+const renderJson = ({ room, language, origin, entries }) => JSON.stringify({
+  roomId: room.roomId,
+  name: room.name,
+  language: language || 'original',
+  startedAt: origin,
+  generatedAt: new Date(),
+  entries
+}, null, 2);
+
+export const TRANSCRIPT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', render: renderSrt },
+  vtt: { contentType: 'text/vtt; charset=utf-8', render: renderVtt },
+  txt: { contentType: 'text/plain; charset=utf-8', render: renderTxt },
+  json: { contentType: 'application/json; charset=utf-8', render: renderJson }
+};
@@ -0,0 +1,73 @@
+/**
+ * Speech-to-text provider registry.
+ *
+ * A provider is an object with:
+ *   name                  - unique identifier
+ *   isFallback            - true if its output is a stand-in, not a real transcription
+ *   isConfigured()        - whether the deployment has what the provider needs
+ *   transcribe(audio, format, { language, signal })
+ *                         -> { text, language, confidence, duration, segments }
+ *                         `language` is the speaker's language as a hint, and
+ *                         segments are { start, end, text, language, confidence }
+ *   health()              -> { ok, latencyMs }
+ *
+ * TRANSCRIPTION_PROVIDERS (comma separated, default "openai") picks the
+ * providers to try in order, e.g. "whisper-server" for air-gapped deployments
+ * or "stub" for tests. The mock provider is always appended as the last resort.
+ */
+
+import openaiProvider from './openai.js';
+import whisperServerProvider from './whisperServer.js';
+import stubProvider from './stub.js';
+import mockProvider from './mock.js';
+import { withTimeout, aiTimeoutMs } from '../resilience.js';
+
+const DEFAULT_ORDER = ['openai'];
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a speech-to-text provider.
+ */
+export const registerTranscriptionProvider = (provider) => {
+  if (!provider?.name || typeof provider.transcribe !== 'function') {
+    throw new Error('Transcription providers need a name and a transcribe function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Ordered list of configured providers to try.
+ */
+export const resolveTranscriptionChain = () => {
+  const names = process.env.TRANSCRIPTION_PROVIDERS
+    ? process.env.TRANSCRIPTION_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return [...new Set([...names, mockProvider.name])]
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) console.warn(`Unknown transcription provider in configuration: ${name}`);
+      return provider;
+    })
+    .filter(provider => provider?.isConfigured());
+};
+
+/**
+ * Health of every registered provider, for diagnostics.
+ */
+export const checkTranscriptionHealth = async () => Promise.all(
+  [...providers.values()].map(async (provider) => {
+    if (!provider.isConfigured()) {
+      return { name: provider.name, configured: false, ok: false };
+    }
+    try {
+      const health = await withTimeout(() => provider.health(), aiTimeoutMs(), provider.name);
+      return { name: provider.name, configured: true, ...health };
+    } catch (error) {
+      return { name: provider.name, configured: true, ok: false, message: error.message };
+    }
+  })
+);
+
+[openaiProvider, whisperServerProvider, stubProvider, mockProvider].forEach(registerTranscriptionProvider);
@@ -0,0 +1,23 @@
+/**
+ * Last-resort provider when no speech-to-text service is configured or reachable.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  // Output is a placeholder, not a real transcription
+  isFallback: true,
+
+  isConfigured: () => true,
+
+  transcribe: async () => ({
+    text: "This is a mock transcription for development purposes.",
+    language: 'en',
+    confidence: 0.85,
+    duration: 3.5,
+    segments: []
+  }),
+
+  health: async () => ({ ok: true, latencyMs: 0 })
+};
+
+export default mockProvider;
@@ -0,0 +1,14 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+/**
+ * Speech-to-text with OpenAI's hosted Whisper API.
+ */
+const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  baseUrl: () => 'https://api.openai.com/v1',
+  apiKey: () => process.env.OPENAI_API_KEY,
+  model: () => process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY)
+});
+
+export default openaiProvider;
@@ -0,0 +1,125 @@
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import { LANGUAGE_CODES } from '../languages.js';
+
+// Whisper's own silence heuristic: likely no speech and a low-confidence decode
+const NO_SPEECH_THRESHOLD = 0.6;
+const LOW_LOGPROB_THRESHOLD = -1.0;
+
+const LANGUAGE_NAMES = Object.fromEntries(
+  Object.entries(LANGUAGE_CODES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+// verbose_json reports the language by name ("english"), some servers by code
+const toLanguageCode = (language) => {
+  if (!language) return null;
+  const value = language.toLowerCase();
+  return LANGUAGE_CODES[value] ? value : LANGUAGE_NAMES[value] || null;
+};
+
+const isNoSpeech = (segment) => (
+  (segment.no_speech_prob ?? 0) > NO_SPEECH_THRESHOLD
+  && (segment.avg_logprob ?? 0) < LOW_LOGPROB_THRESHOLD
+);
+
+/**
+ * Normalize a verbose_json response: ISO language code, segments with
+ * start/end times and a 0-1 confidence, and no-speech segments removed so
+ * silence doesn't turn into hallucinated subtitles.
+ */
+export const normalizeWhisperResult = (result, languageHint) => {
+  const language = toLanguageCode(result.language) || languageHint || 'auto';
+
+  if (!Array.isArray(result.segments) || result.segments.length === 0) {
+    return {
+      text: (result.text || '').trim(),
+      language,
+      confidence: 0.9,
+      duration: result.duration || 0,
+      segments: []
+    };
+  }
+
+  const segments = result.segments
+    .filter(segment => !isNoSpeech(segment))
+    .map(segment => ({
+      start: segment.start,
+      end: segment.end,
+      text: segment.text.trim(),
+      language,
+      confidence: Math.min(1, Math.exp(segment.avg_logprob ?? 0)),
+      noSpeechProb: segment.no_speech_prob ?? 0
+    }))
+    .filter(segment => segment.text);
+
+  // Duration-weighted average, so a short mumble doesn't drag the utterance down
+  const weight = segment => Math.max(segment.end - segment.start, 0.01);
+  const totalWeight = segments.reduce((sum, segment) => sum + weight(segment), 0);
+  const confidence = segments.length > 0
+    ? segments.reduce((sum, segment) => sum + segment.confidence * weight(segment), 0) / totalWeight
+    : 0;
+
+  return {
+    text: segments.map(segment => segment.text).join(' '),
+    language,
+    confidence,
+    duration: result.duration || 0,
+    segments
+  };
+};
+
+/**
+ * Build a provider for any server implementing OpenAI's
+ * `POST /v1/audio/transcriptions` contract.
+ * @param {Object} config - { name, baseUrl(), apiKey(), model(), isConfigured() }
+ */
+export const createOpenAICompatibleProvider = ({ name, baseUrl, apiKey, model, isConfigured }) => {
+  const headers = () => (apiKey() ? { 'Authorization': `Bearer ${apiKey()}` } : {});
+  const url = (path) => `${baseUrl().replace(/\/+$/, '')}${path}`;
+
+  return {
+    name,
+
+    isConfigured,
+
+    transcribe: async (audioBuffer, format, { language, signal } = {}) => {
+      const formData = new FormData();
+      formData.append('file', audioBuffer, {
+        filename: `audio.${format}`,
+        contentType: `audio/${format}`
+      });
+      formData.append('model', model());
+      if (language && language !== 'auto') {
+        formData.append('language', language);
+      }
+      formData.append('response_format', 'verbose_json');
+
+      const response = await fetch(url('/audio/transcriptions'), {
+        method: 'POST',
+        headers: {
+          ...headers(),
+          ...formData.getHeaders()
+        },
+        body: formData,
+        signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`${name} transcription error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return normalizeWhisperResult(await response.json(), language !== 'auto' ? language : null);
+    },
+
+    health: async () => {
+      const startedAt = Date.now();
+      const response = await fetch(url('/models'), { headers: headers() });
+      if (!response.ok) {
+        throw new Error(`${name} health check failed: ${response.status} ${response.statusText}`);
+      }
+      return { ok: true, latencyMs: Date.now() - startedAt };
+    }
+  };
+};
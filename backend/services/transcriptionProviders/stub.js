@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { detectLanguage } from '../languageDetector.js';
+
+let loaded = { path: null, transcripts: [] };
+
+/**
+ * TRANSCRIPTION_STUB_FILE is a JSON array of transcripts:
+ *   [{ "text": "Good morning", "language": "en" }, "Buenos días"]
+ * Entries may be plain strings; a missing `language` is detected from the text.
+ */
+const loadTranscripts = () => {
+  const path = process.env.TRANSCRIPTION_STUB_FILE;
+  if (loaded.path !== path) {
+    const transcripts = JSON.parse(fs.readFileSync(path, 'utf8'));
+    if (!Array.isArray(transcripts) || transcripts.length === 0) {
+      throw new Error('TRANSCRIPTION_STUB_FILE must contain a non-empty JSON array');
+    }
+    loaded = { path, transcripts };
+  }
+  return loaded.transcripts;
+};
+
+/**
+ * Deterministic speech-to-text for tests and demos: the same audio always
+ * yields the same transcript from TRANSCRIPTION_STUB_FILE.
+ */
+const stubProvider = {
+  name: 'stub',
+
+  isConfigured: () => Boolean(process.env.TRANSCRIPTION_STUB_FILE),
+
+  transcribe: async (audioBuffer) => {
+    const transcripts = loadTranscripts();
+    const digest = crypto.createHash('sha256').update(audioBuffer).digest();
+    const entry = transcripts[digest.readUInt32BE(0) % transcripts.length];
+    const text = typeof entry === 'string' ? entry : entry.text;
+
+    return {
+      text,
+      language: entry.language || detectLanguage(text),
+      confidence: 1.0,
+      duration: 0,
+      segments: []
+    };
+  },
+
+  health: async () => {
+    loadTranscripts();
+    return { ok: true, latencyMs: 0 };
+  }
+};
+
+export default stubProvider;
@@ -0,0 +1,17 @@
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+/**
+ * Speech-to-text with a self-hosted, Whisper-compatible server (faster-whisper,
+ * whisper.cpp server, LocalAI...) exposing `/v1/audio/transcriptions`.
+ * Set WHISPER_SERVER_URL to its base URL including `/v1`, and
+ * WHISPER_SERVER_API_KEY / WHISPER_SERVER_MODEL if the server needs them.
+ */
+const whisperServerProvider = createOpenAICompatibleProvider({
+  name: 'whisper-server',
+  baseUrl: () => process.env.WHISPER_SERVER_URL,
+  apiKey: () => process.env.WHISPER_SERVER_API_KEY,
+  model: () => process.env.WHISPER_SERVER_MODEL || 'whisper-1',
+  isConfigured: () => Boolean(process.env.WHISPER_SERVER_URL)
+});
+
+export default whisperServerProvider;
@@ -0,0 +1,186 @@
+import crypto from 'crypto';
+import TranslationCache from '../models/TranslationCache.js';
+
+/**
+ * Two-level translation cache: an in-process LRU in front of the
+ * `TranslationCache` collection, whose entries expire through a TTL index.
+ *
+ * Entries are keyed by normalized text + source + target + provider, plus
+ * the fingerprint of any glossary terms applied to the translation.
+ * Configure with TRANSLATION_CACHE_SIZE (LRU entries, default 1000) and
+ * TRANSLATION_CACHE_TTL_HOURS (default 168).
+ */
+
+const DEFAULT_MEMORY_SIZE = 1000;
+const DEFAULT_TTL_HOURS = 24 * 7;
+
+const memoryCache = new Map(); // key -> { value, expiresAt }, in least-recently-used order
+
+const stats = {
+  memoryHits: 0,
+  persistentHits: 0,
+  misses: 0,
+  writes: 0,
+  errors: 0,
+  since: new Date()
+};
+
+const maxMemoryEntries = () => parseInt(process.env.TRANSLATION_CACHE_SIZE, 10) || DEFAULT_MEMORY_SIZE;
+const ttlMs = () => (parseFloat(process.env.TRANSLATION_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+// Bumped when the key changes shape, so entries stored under old keys are
+// never read again (they expire through the TTL index). v2: keys keep case.
+const KEY_VERSION = 'v2';
+
+/**
+ * Normalize text so inputs differing only in whitespace or Unicode form share
+ * a cache entry. Case is kept: it can change the translation ("US" vs "us").
+ */
+export const normalizeText = (text) => text
+  .normalize('NFC')
+  .trim()
+  .replace(/\s+/g, ' ');
+
+// `glossary` is the fingerprint of the glossary terms applied, if any
+const buildKey = ({ text, sourceLanguage, targetLanguage, provider, glossary = '' }) => crypto
+  .createHash('sha256')
+  .update([KEY_VERSION, provider, sourceLanguage || 'auto', targetLanguage, glossary, normalizeText(text)].join('\u0000'))
+  .digest('hex');
+
+const rememberInMemory = (key, value, expiresAt) => {
+  memoryCache.delete(key);
+  memoryCache.set(key, { value, expiresAt });
+
+  if (memoryCache.size > maxMemoryEntries()) {
+    // Maps iterate in insertion order, so the first key is the least recently used
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+};
+
+/**
+ * Look up a cached translation.
+ * @param {Object} entry - { text, sourceLanguage, targetLanguage, provider }
+ * @returns {Object|null} Cached translation result
+ */
+export const getCachedTranslation = async (entry) => {
+  const key = buildKey(entry);
+
+  const inMemory = memoryCache.get(key);
+  if (inMemory && inMemory.expiresAt > Date.now()) {
+    rememberInMemory(key, inMemory.value, inMemory.expiresAt);
+    stats.memoryHits++;
+    return inMemory.value;
+  }
+  memoryCache.delete(key);
+
+  try {
+    const cached = await TranslationCache.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } }
+    ).lean();
+
+    if (cached) {
+      const value = {
+        text: cached.translation.text,
+        confidence: cached.translation.confidence,
+        sourceLanguage: cached.translation.sourceLanguage,
+        targetLanguage: cached.targetLanguage
+      };
+      rememberInMemory(key, value, cached.expiresAt.getTime());
+      stats.persistentHits++;
+      return value;
+    }
+  } catch (error) {
+    stats.errors++;
+    console.error('Translation cache lookup failed:', error.message);
+  }
+
+  stats.misses++;
+  return null;
+};
+
+/**
+ * Store a translation result in both cache levels.
+ */
+export const setCachedTranslation = async (entry, result) => {
+  const key = buildKey(entry);
+  const expiresAt = Date.now() + ttlMs();
+  const value = {
+    text: result.text,
+    confidence: result.confidence,
+    sourceLanguage: result.sourceLanguage,
+    targetLanguage: entry.targetLanguage
+  };
+
+  rememberInMemory(key, value, expiresAt);
+  stats.writes++;
+
+  try {
+    await TranslationCache.updateOne(
+      { key },
+      {
+        $set: {
+          text: normalizeText(entry.text),
+          sourceLanguage: entry.sourceLanguage,
+          targetLanguage: entry.targetLanguage,
+          provider: entry.provider,
+          translation: {
+            text: value.text,
+            confidence: value.confidence,
+            sourceLanguage: value.sourceLanguage
+          },
+          expiresAt: new Date(expiresAt)
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    stats.errors++;
+    console.error('Translation cache write failed:', error.message);
+  }
+};
+
+/**
+ * Hit/miss counters and sizes for the admin endpoint.
+ */
+export const getCacheStats = async () => {
+  const hits = stats.memoryHits + stats.persistentHits;
+  const lookups = hits + stats.misses;
+
+  let persistentEntries = null;
+  try {
+    persistentEntries = await TranslationCache.estimatedDocumentCount();
+  } catch (error) {
+    console.error('Translation cache count failed:', error.message);
+  }
+
+  return {
+    ...stats,
+    hits,
+    lookups,
+    hitRate: lookups > 0 ? hits / lookups : 0,
+    memoryEntries: memoryCache.size,
+    memoryCapacity: maxMemoryEntries(),
+    persistentEntries,
+    ttlHours: ttlMs() / (60 * 60 * 1000)
+  };
+};
+
+/**
+ * Drop every cached translation and reset the counters.
+ */
+export const clearTranslationCache = async () => {
+  memoryCache.clear();
+  const { deletedCount } = await TranslationCache.deleteMany({});
+
+  Object.assign(stats, {
+    memoryHits: 0,
+    persistentHits: 0,
+    misses: 0,
+    writes: 0,
+    errors: 0,
+    since: new Date()
+  });
+
+  return deletedCount;
+};
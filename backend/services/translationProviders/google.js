@@ -0,0 +1,97 @@
+import fetch from 'node-fetch';
+import { SUPPORTED_LANGUAGES } from '../languages.js';
+
+const BASE_URL = 'https://translation.googleapis.com/language/translate/v2';
+
+const request = async (path, body, signal) => {
+  const response = await fetch(`${BASE_URL}${path}?key=${process.env.GOOGLE_TRANSLATE_API_KEY}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Google Translate API error: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Translation provider backed by the Google Cloud Translation v2 API.
+ */
+const googleProvider = {
+  name: 'google',
+
+  // Glossary terms are swapped for placeholders before translation
+  glossaryMode: 'placeholders',
+
+  isConfigured: () => Boolean(process.env.GOOGLE_TRANSLATE_API_KEY),
+
+  translate: async (text, targetLanguage, sourceLanguage, { signal } = {}) => {
+    const requestBody = {
+      q: text,
+      target: targetLanguage,
+      format: 'text'
+    };
+
+    if (sourceLanguage !== 'auto') {
+      requestBody.source = sourceLanguage;
+    }
+
+    const result = await request('', requestBody, signal);
+    const translation = result.data.translations[0];
+
+    return {
+      text: translation.translatedText,
+      confidence: 0.95,
+      sourceLanguage: translation.detectedSourceLanguage || sourceLanguage,
+      targetLanguage
+    };
+  },
+
+  // Translates several texts in one request, results in the same order
+  translateBatch: async (texts, targetLanguage, sourceLanguage, { signal } = {}) => {
+    const requestBody = {
+      q: texts,
+      target: targetLanguage,
+      format: 'text'
+    };
+
+    if (sourceLanguage !== 'auto') {
+      requestBody.source = sourceLanguage;
+    }
+
+    const result = await request('', requestBody, signal);
+
+    return result.data.translations.map(translation => ({
+      text: translation.translatedText,
+      confidence: 0.95,
+      sourceLanguage: translation.detectedSourceLanguage || sourceLanguage,
+      targetLanguage
+    }));
+  },
+
+  detect: async (text, { signal } = {}) => {
+    const result = await request('/detect', { q: text }, signal);
+    const detection = result.data.detections?.[0]?.[0];
+    return detection
+      ? { language: detection.language, confidence: detection.confidence ?? 0.9 }
+      : null;
+  },
+
+  supportedLanguages: async () => SUPPORTED_LANGUAGES,
+
+  health: async () => {
+    const startedAt = Date.now();
+    await request('/detect', { q: 'hello' });
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  }
+};
+
+export default googleProvider;
@@ -0,0 +1,112 @@
+/**
+ * Translation provider registry.
+ *
+ * A provider is an object with:
+ *   name                  - unique identifier, stored with each translation
+ *   glossaryMode          - 'instructions' or 'placeholders' (see glossaryService)
+ *   isFallback            - true if its output is a stand-in, not a real translation
+ *   isConfigured()        - whether the deployment has what the provider needs
+ *   translate(text, target, source, options) -> { text, confidence, sourceLanguage, targetLanguage }
+ *   translateBatch(texts, target, source, options) -> [result]   (optional)
+ *   translateStream(text, target, source, { onPartial, ... }) -> result   (optional,
+ *                         glossary terms are always passed as instructions)
+ *   detect(text, options) -> { language, confidence } | null
+ *   supportedLanguages()  -> array of ISO 639-1 codes
+ *   health()              -> { ok, latencyMs }
+ *
+ * Provider order is configured with TRANSLATION_PROVIDERS (comma separated)
+ * and per-language-pair overrides with TRANSLATION_ROUTES, a JSON object whose
+ * keys are "source:target" pairs (either side may be "*"), e.g.
+ *   {"en:ta": ["libretranslate", "openai"], "*:ar": ["google"]}
+ * The mock provider is always appended as the last resort.
+ *
+ * `options` carries an AbortSignal (`signal`) that providers pass on to their
+ * HTTP calls so the resilience layer can enforce timeouts.
+ */
+
+import openaiProvider from './openai.js';
+import googleProvider from './google.js';
+import libreTranslateProvider from './libreTranslate.js';
+import mockProvider from './mock.js';
+import { withTimeout, aiTimeoutMs, getCircuitStates } from '../resilience.js';
+
+const DEFAULT_ORDER = ['openai', 'google', 'libretranslate'];
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a translation provider.
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.name || typeof provider.translate !== 'function') {
+    throw new Error('Translation providers need a name and a translate function');
+  }
+  providers.set(provider.name, provider);
+};
+
+export const getProvider = (name) => providers.get(name);
+
+export const listProviders = () => [...providers.values()];
+
+const parseRoutes = () => {
+  if (!process.env.TRANSLATION_ROUTES) return {};
+  try {
+    return JSON.parse(process.env.TRANSLATION_ROUTES);
+  } catch (error) {
+    console.error('Invalid TRANSLATION_ROUTES, ignoring:', error.message);
+    return {};
+  }
+};
+
+const defaultOrder = () => (
+  process.env.TRANSLATION_PROVIDERS
+    ? process.env.TRANSLATION_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORDER
+);
+
+/**
+ * Ordered list of configured providers to try for a language pair.
+ * @param {string} sourceLanguage - Source language code or 'auto'
+ * @param {string} targetLanguage - Target language code
+ * @returns {Array} Providers, most preferred first
+ */
+export const resolveProviderChain = (sourceLanguage, targetLanguage) => {
+  const routes = parseRoutes();
+  const names = routes[`${sourceLanguage}:${targetLanguage}`]
+    || routes[`*:${targetLanguage}`]
+    || routes[`${sourceLanguage}:*`]
+    || routes['*:*']
+    || defaultOrder();
+
+  const chain = [...new Set([...names, mockProvider.name])]
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) console.warn(`Unknown translation provider in configuration: ${name}`);
+      return provider;
+    })
+    .filter(provider => provider?.isConfigured());
+
+  return chain;
+};
+
+/**
+ * Health of every registered provider, for diagnostics.
+ */
+export const checkProvidersHealth = async () => {
+  const circuits = getCircuitStates();
+  const results = await Promise.all(listProviders().map(async (provider) => {
+    if (!provider.isConfigured()) {
+      return { name: provider.name, configured: false, ok: false };
+    }
+    const circuit = circuits[provider.name]?.state || 'closed';
+    try {
+      const health = await withTimeout(() => provider.health(), aiTimeoutMs(), provider.name);
+      return { name: provider.name, configured: true, circuit, ...health };
+    } catch (error) {
+      return { name: provider.name, configured: true, circuit, ok: false, message: error.message };
+    }
+  }));
+  return results;
+};
+
+[openaiProvider, googleProvider, libreTranslateProvider, mockProvider].forEach(registerProvider);
@@ -0,0 +1,114 @@
+import fetch from 'node-fetch';
+
+const LANGUAGES_CACHE_MS = 10 * 60 * 1000;
+
+let languagesCache = { languages: null, fetchedAt: 0 };
+
+const baseUrl = () => process.env.LIBRETRANSLATE_URL.replace(/\/+$/, '');
+
+const request = async (path, { method = 'POST', body, signal } = {}) => {
+  const options = { method, headers: {}, signal };
+
+  if (body) {
+    options.headers['Content-Type'] = 'application/json';
+    options.body = JSON.stringify({
+      ...body,
+      ...(process.env.LIBRETRANSLATE_API_KEY && { api_key: process.env.LIBRETRANSLATE_API_KEY })
+    });
+  }
+
+  const response = await fetch(`${baseUrl()}${path}`, options);
+
+  if (!response.ok) {
+    const error = new Error(`LibreTranslate error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+};
+
+/**
+ * Translation provider for a self-hosted, LibreTranslate-compatible server
+ * (set LIBRETRANSLATE_URL, and LIBRETRANSLATE_API_KEY if the server needs one).
+ */
+const libreTranslateProvider = {
+  name: 'libretranslate',
+
+  // Glossary terms are swapped for placeholders before translation
+  glossaryMode: 'placeholders',
+
+  isConfigured: () => Boolean(process.env.LIBRETRANSLATE_URL),
+
+  translate: async (text, targetLanguage, sourceLanguage, { signal } = {}) => {
+    const result = await request('/translate', {
+      signal,
+      body: {
+        q: text,
+        source: sourceLanguage || 'auto',
+        target: targetLanguage,
+        format: 'text'
+      }
+    });
+
+    if (!result.translatedText) {
+      throw new Error('No translation received from LibreTranslate');
+    }
+
+    return {
+      text: result.translatedText,
+      confidence: result.detectedLanguage?.confidence
+        ? result.detectedLanguage.confidence / 100
+        : 0.85,
+      sourceLanguage: result.detectedLanguage?.language || sourceLanguage,
+      targetLanguage
+    };
+  },
+
+  // Translates several texts in one request, results in the same order
+  translateBatch: async (texts, targetLanguage, sourceLanguage, { signal } = {}) => {
+    const result = await request('/translate', {
+      signal,
+      body: {
+        q: texts,
+        source: sourceLanguage || 'auto',
+        target: targetLanguage,
+        format: 'text'
+      }
+    });
+
+    if (!Array.isArray(result.translatedText) || result.translatedText.length !== texts.length) {
+      throw new Error('Unexpected batch response from LibreTranslate');
+    }
+
+    return result.translatedText.map((translatedText, index) => ({
+      text: translatedText,
+      confidence: 0.85,
+      sourceLanguage: result.detectedLanguage?.[index]?.language || sourceLanguage,
+      targetLanguage
+    }));
+  },
+
+  detect: async (text, { signal } = {}) => {
+    const [best] = await request('/detect', { body: { q: text }, signal });
+    return best ? { language: best.language, confidence: best.confidence / 100 } : null;
+  },
+
+  supportedLanguages: async () => {
+    if (languagesCache.languages && Date.now() - languagesCache.fetchedAt < LANGUAGES_CACHE_MS) {
+      return languagesCache.languages;
+    }
+
+    const languages = await request('/languages', { method: 'GET' });
+    languagesCache = { languages: languages.map(l => l.code), fetchedAt: Date.now() };
+    return languagesCache.languages;
+  },
+
+  health: async () => {
+    const startedAt = Date.now();
+    await request('/languages', { method: 'GET' });
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  }
+};
+
+export default libreTranslateProvider;
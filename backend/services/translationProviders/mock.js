@@ -0,0 +1,43 @@
+import { SUPPORTED_LANGUAGES } from '../languages.js';
+import { detectLanguageCandidates } from '../languageDetector.js';
+
+const mockTranslations = {
+  'ta': 'Tamil',
+  'hi': 'Hindi',
+  'es': 'Spanish',
+  'fr': 'French',
+  'de': 'German',
+  'zh': 'Chinese',
+  'ar': 'Arabic'
+};
+
+/**
+ * Development provider used when nothing else is configured or available.
+ */
+const mockProvider = {
+  name: 'mock',
+
+  // Output is a placeholder, not a real translation
+  isFallback: true,
+
+  // Glossary terms are swapped for placeholders before translation
+  glossaryMode: 'placeholders',
+
+  isConfigured: () => true,
+
+  translate: async (text, targetLanguage, sourceLanguage) => ({
+    text: `[${mockTranslations[targetLanguage] || targetLanguage} translation of: ${text}]`,
+    confidence: 0.8,
+    sourceLanguage,
+    targetLanguage
+  }),
+
+  // Offline n-gram model, so detection works without any API key
+  detect: async (text) => detectLanguageCandidates(text, { limit: 1 })[0] || null,
+
+  supportedLanguages: async () => SUPPORTED_LANGUAGES,
+
+  health: async () => ({ ok: true, latencyMs: 0 })
+};
+
+export default mockProvider;
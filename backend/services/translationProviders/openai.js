@@ -0,0 +1,137 @@
+import OpenAI from 'openai';
+import { LANGUAGE_CODES, SUPPORTED_LANGUAGES } from '../languages.js';
+
+let client = null;
+
+// Created on first use so the server can start without an API key
+const getClient = () => {
+  if (!client) {
+    // Retries are handled by the resilience layer
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+};
+
+const buildTranslationMessages = (text, targetLanguage, sourceLanguage, glossaryInstructions) => {
+  const targetLangName = LANGUAGE_CODES[targetLanguage] || targetLanguage;
+  const sourceLangName = sourceLanguage !== 'auto'
+    ? LANGUAGE_CODES[sourceLanguage] || sourceLanguage
+    : 'the detected language';
+
+  const prompt = `Translate the following text from ${sourceLangName} to ${targetLangName}.
+Only return the translated text, nothing else:
+
+"${text}"`;
+
+  return [
+    {
+      role: 'system',
+      content: [
+        'You are a professional translator. Translate the given text accurately and naturally.',
+        glossaryInstructions
+      ].filter(Boolean).join('\n\n')
+    },
+    {
+      role: 'user',
+      content: prompt
+    }
+  ];
+};
+
+/**
+ * Translation provider backed by OpenAI chat completions.
+ */
+const openaiProvider = {
+  name: 'openai',
+
+  // Glossary terms are passed as prompt instructions
+  glossaryMode: 'instructions',
+
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+  translate: async (text, targetLanguage, sourceLanguage, { glossaryInstructions, signal } = {}) => {
+    const response = await getClient().chat.completions.create({
+      model: process.env.OPENAI_TRANSLATION_MODEL || 'gpt-3.5-turbo',
+      messages: buildTranslationMessages(text, targetLanguage, sourceLanguage, glossaryInstructions),
+      max_tokens: 500,
+      temperature: 0.3
+    }, { signal });
+
+    const translatedText = response.choices[0]?.message?.content?.trim();
+
+    if (!translatedText) {
+      throw new Error('No translation received from OpenAI');
+    }
+
+    return {
+      text: translatedText,
+      confidence: 0.9,
+      sourceLanguage,
+      targetLanguage
+    };
+  },
+
+  // Same as translate, but calls onPartial with the text received so far
+  translateStream: async (text, targetLanguage, sourceLanguage, { glossaryInstructions, signal, onPartial } = {}) => {
+    const stream = await getClient().chat.completions.create({
+      model: process.env.OPENAI_TRANSLATION_MODEL || 'gpt-3.5-turbo',
+      messages: buildTranslationMessages(text, targetLanguage, sourceLanguage, glossaryInstructions),
+      max_tokens: 500,
+      temperature: 0.3,
+      stream: true
+    }, { signal });
+
+    let translatedText = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (!delta) continue;
+      translatedText += delta;
+      onPartial?.(translatedText.trim());
+    }
+
+    translatedText = translatedText.trim();
+    if (!translatedText) {
+      throw new Error('No translation received from OpenAI');
+    }
+
+    return {
+      text: translatedText,
+      confidence: 0.9,
+      sourceLanguage,
+      targetLanguage
+    };
+  },
+
+  detect: async (text, { signal } = {}) => {
+    const response = await getClient().chat.completions.create({
+      model: process.env.OPENAI_TRANSLATION_MODEL || 'gpt-3.5-turbo',
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a language detection expert. Return only the ISO 639-1 language code (2 letters) for the given text.'
+        },
+        {
+          role: 'user',
+          content: `Detect the language of this text: "${text}"`
+        }
+      ],
+      max_tokens: 10,
+      temperature: 0
+    }, { signal });
+
+    const detectedLang = response.choices[0]?.message?.content?.trim().toLowerCase();
+    return LANGUAGE_CODES[detectedLang]
+      ? { language: detectedLang, confidence: 0.9 }
+      : null;
+  },
+
+  supportedLanguages: async () => SUPPORTED_LANGUAGES,
+
+  health: async () => {
+    const startedAt = Date.now();
+    await getClient().models.list();
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  }
+};
+
+export default openaiProvider;
@@ -1,221 +1,268 @@
-import OpenAI from 'openai';
-import fetch from 'node-fetch';
-import FormData from 'form-data';
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Language code mappings
-const LANGUAGE_CODES = {
-  'en': 'English',
-  'es': 'Spanish',
-  'fr': 'French',
-  'de': 'German',
-  'it': 'Italian',
-  'pt': 'Portuguese',
-  'ru': 'Russian',
-  'zh': 'Chinese',
-  'ja': 'Japanese',
-  'ko': 'Korean',
-  'hi': 'Hindi',
-  'ta': 'Tamil',
-  'ar': 'Arabic'
-};
+import { LANGUAGE_CODES } from './languages.js';
+import { resolveProviderChain } from './translationProviders/index.js';
+import { resolveTranscriptionChain } from './transcriptionProviders/index.js';
+import { getCachedTranslation, setCachedTranslation } from './translationCache.js';
+import { detectLanguage as detectLanguageOffline } from './languageDetector.js';
+import { callWithResilience, transcriptionTimeoutMs } from './resilience.js';
+import {
+  matchGlossaryTerms,
+  glossaryFingerprint,
+  protectTerms,
+  restoreTerms,
+  buildGlossaryInstructions
+} from './glossaryService.js';
+
+// Texts per request for providers that translate in batches
+const BATCH_SIZE = 50;
 
 /**
- * Transcribe audio using OpenAI Whisper API
+ * Transcribe audio with the configured speech-to-text providers
  * @param {Buffer} audioBuffer - Audio data buffer
  * @param {string} format - Audio format (webm, mp3, wav, etc.)
- * @returns {Object} Transcription result
+ * @param {Object} options - { language: expected language code, e.g. the speaker's preference }
+ * @returns {Object} Transcription result, including the provider that produced it;
+ *   `degraded` is set when it is mock output
  */
-export const transcribeAudio = async (audioBuffer, format = 'webm') => {
-  try {
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('OpenAI API key not configured, using mock transcription');
-      return mockTranscription();
+export const transcribeAudio = async (audioBuffer, format = 'webm', { language } = {}) => {
+  for (const provider of resolveTranscriptionChain()) {
+    try {
+      const transcribe = (signal) => provider.transcribe(audioBuffer, format, { language, signal });
+      const result = provider.isFallback
+        ? await transcribe(undefined)
+        : await callWithResilience(`stt:${provider.name}`, transcribe, { timeoutMs: transcriptionTimeoutMs() });
+
+      if (provider.isFallback) {
+        console.warn('No speech-to-text provider available, using mock transcription');
+      }
+      return { ...result, provider: provider.name, degraded: Boolean(provider.isFallback) };
+    } catch (error) {
+      console.error(`Audio transcription error (${provider.name}):`, error.message);
     }
+  }
 
-    // Create form data for Whisper API
-    const formData = new FormData();
-    formData.append('file', audioBuffer, {
-      filename: `audio.${format}`,
-      contentType: `audio/${format}`
-    });
-    formData.append('model', 'whisper-1');
-    formData.append('language', 'auto'); // Auto-detect language
-    formData.append('response_format', 'verbose_json');
-
-    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        ...formData.getHeaders()
-      },
-      body: formData
-    });
-
-    if (!response.ok) {
-      throw new Error(`Whisper API error: ${response.statusText}`);
-    }
+  return null;
+};
 
-    const result = await response.json();
+/**
+ * Translate text using the configured provider chain
+ * @param {string} text - Text to translate
+ * @param {string} targetLanguage - Target language code
+ * @param {string} sourceLanguage - Source language code (optional)
+ * @param {Object} options - { glossary: terms from loadGlossary(), excludeProviders: names to skip }
+ * @returns {Object} Translation result, including the provider that produced it
+ *   and `degraded` when it came from a fallback rather than a real translator
+ */
+export const translateText = async (text, targetLanguage, sourceLanguage = 'auto', options = {}) => {
+  if (!text || text.trim().length === 0) {
+    return null;
+  }
 
+  // If source and target are the same, return original
+  if (sourceLanguage === targetLanguage) {
     return {
-      text: result.text,
-      language: result.language || 'auto',
-      confidence: result.confidence || 0.9,
-      duration: result.duration || 0,
-      segments: result.segments || []
+      text,
+      confidence: 1.0,
+      sourceLanguage,
+      targetLanguage,
+      degraded: false
     };
+  }
 
-  } catch (error) {
-    console.error('Audio transcription error:', error);
-    
-    // Fallback to mock transcription for development
-    return mockTranscription();
+  const glossaryTerms = matchGlossaryTerms(text, options.glossary, targetLanguage);
+  const glossary = glossaryFingerprint(glossaryTerms, targetLanguage);
+
+  const chain = resolveProviderChain(sourceLanguage, targetLanguage)
+    .filter(provider => !options.excludeProviders?.includes(provider.name));
+
+  // Try each provider in order, falling back to the next one on failure
+  for (const provider of chain) {
+    // Mock output is never worth caching
+    const cacheEntry = provider.name !== 'mock'
+      ? { text, sourceLanguage, targetLanguage, provider: provider.name, glossary }
+      : null;
+
+    try {
+      const cached = cacheEntry && await getCachedTranslation(cacheEntry);
+      if (cached) {
+        return { ...cached, provider: provider.name, cached: true, degraded: false };
+      }
+
+      const result = await callProvider(provider, async (signal) => {
+        const languages = await provider.supportedLanguages();
+        if (!languages.includes(targetLanguage)) return null;
+        return translateWithGlossary(provider, text, targetLanguage, sourceLanguage, glossaryTerms, signal);
+      });
+      if (!result) continue;
+
+      if (cacheEntry) {
+        // Errors are handled inside the cache, so don't hold up the caller
+        setCachedTranslation(cacheEntry, result);
+      }
+      return { ...result, provider: provider.name, degraded: Boolean(provider.isFallback) };
+    } catch (error) {
+      console.error(`Translation error (${provider.name}):`, error.message);
+    }
   }
+
+  console.warn(`No translation provider could translate ${sourceLanguage} -> ${targetLanguage}`);
+  return null;
 };
 
 /**
- * Translate text using OpenAI GPT or Google Translate
- * @param {string} text - Text to translate
- * @param {string} targetLanguage - Target language code
+ * Translate several texts into several languages.
+ * Providers that support it get the texts in batched requests; anything a
+ * batch can't handle (glossary terms, failures) goes through translateText.
+ * @param {string[]} texts - Texts to translate
+ * @param {string[]} targetLanguages - Target language codes
  * @param {string} sourceLanguage - Source language code (optional)
- * @returns {Object} Translation result
+ * @param {Object} options - { glossary }
+ * @returns {Object[]} One { [targetLanguage]: result | null } object per text
  */
-export const translateText = async (text, targetLanguage, sourceLanguage = 'auto') => {
-  try {
-    if (!text || text.trim().length === 0) {
-      return null;
-    }
+export const translateBatch = async (texts, targetLanguages, sourceLanguage = 'auto', options = {}) => {
+  const results = texts.map(() => ({}));
 
-    // If source and target are the same, return original
-    if (sourceLanguage === targetLanguage) {
-      return {
-        text,
-        confidence: 1.0,
-        sourceLanguage,
-        targetLanguage
-      };
-    }
+  await Promise.all(targetLanguages.map(async (targetLanguage) => {
+    const translated = await translateAllTo(texts, targetLanguage, sourceLanguage, options);
+    translated.forEach((result, index) => {
+      results[index][targetLanguage] = result;
+    });
+  }));
 
-    // Try OpenAI translation first
-    if (process.env.OPENAI_API_KEY) {
-      return await translateWithOpenAI(text, targetLanguage, sourceLanguage);
-    }
+  return results;
+};
 
-    // Fallback to Google Translate
-    if (process.env.GOOGLE_TRANSLATE_API_KEY) {
-      return await translateWithGoogle(text, targetLanguage, sourceLanguage);
+const translateAllTo = async (texts, targetLanguage, sourceLanguage, options) => {
+  const results = texts.map(() => null);
+  const [provider] = resolveProviderChain(sourceLanguage, targetLanguage);
+
+  if (provider?.translateBatch && sourceLanguage !== targetLanguage) {
+    const pending = [];
+
+    await Promise.all(texts.map(async (text, index) => {
+      if (!text || text.trim().length === 0) return;
+      if (matchGlossaryTerms(text, options.glossary, targetLanguage).length > 0) return;
+
+      const cacheEntry = { text, sourceLanguage, targetLanguage, provider: provider.name, glossary: '' };
+      const cached = await getCachedTranslation(cacheEntry);
+      if (cached) {
+        results[index] = { ...cached, provider: provider.name, cached: true, degraded: false };
+      } else {
+        pending.push({ index, cacheEntry });
+      }
+    }));
+
+    for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+      const chunk = pending.slice(start, start + BATCH_SIZE);
+      try {
+        const translated = await callProvider(provider, async (signal) => {
+          const languages = await provider.supportedLanguages();
+          if (!languages.includes(targetLanguage)) return null;
+          return provider.translateBatch(
+            chunk.map(({ cacheEntry }) => cacheEntry.text), targetLanguage, sourceLanguage, { signal }
+          );
+        });
+        if (!translated) break;
+
+        chunk.forEach(({ index, cacheEntry }, i) => {
+          setCachedTranslation(cacheEntry, translated[i]);
+          results[index] = { ...translated[i], provider: provider.name, degraded: false };
+        });
+      } catch (error) {
+        console.error(`Batch translation error (${provider.name}):`, error.message);
+      }
     }
+  }
 
-    // Mock translation for development
-    console.warn('No translation API configured, using mock translation');
-    return mockTranslation(text, targetLanguage, sourceLanguage);
+  // Whatever is left goes through the regular per-text fallback chain
+  await Promise.all(texts.map(async (text, index) => {
+    if (results[index]) return;
+    results[index] = await translateText(text, targetLanguage, sourceLanguage, options);
+  }));
 
-  } catch (error) {
-    console.error('Translation error:', error);
-    return mockTranslation(text, targetLanguage, sourceLanguage);
-  }
+  return results;
 };
 
 /**
- * Translate using OpenAI GPT
+ * Translate text, reporting the translation as it streams in.
+ * Falls back to translateText when the preferred provider can't stream.
+ * @param {Object} options - { glossary, onPartial(textSoFar) }
+ * @returns {Object} Final translation result, as translateText
  */
-const translateWithOpenAI = async (text, targetLanguage, sourceLanguage) => {
-  try {
-    const targetLangName = LANGUAGE_CODES[targetLanguage] || targetLanguage;
-    const sourceLangName = sourceLanguage !== 'auto' 
-      ? LANGUAGE_CODES[sourceLanguage] || sourceLanguage 
-      : 'the detected language';
-
-    const prompt = `Translate the following text from ${sourceLangName} to ${targetLangName}. 
-Only return the translated text, nothing else:
-
-"${text}"`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a professional translator. Translate the given text accurately and naturally.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.3
-    });
+export const translateTextStream = async (text, targetLanguage, sourceLanguage = 'auto', options = {}) => {
+  const { onPartial, ...translateOptions } = options;
+  const [provider] = resolveProviderChain(sourceLanguage, targetLanguage);
 
-    const translatedText = response.choices[0]?.message?.content?.trim();
+  if (!provider?.translateStream || !text?.trim() || sourceLanguage === targetLanguage) {
+    return translateText(text, targetLanguage, sourceLanguage, translateOptions);
+  }
+
+  const glossaryTerms = matchGlossaryTerms(text, options.glossary, targetLanguage);
+  const cacheEntry = {
+    text,
+    sourceLanguage,
+    targetLanguage,
+    provider: provider.name,
+    glossary: glossaryFingerprint(glossaryTerms, targetLanguage)
+  };
 
-    if (!translatedText) {
-      throw new Error('No translation received from OpenAI');
+  try {
+    const cached = await getCachedTranslation(cacheEntry);
+    if (cached) {
+      return { ...cached, provider: provider.name, cached: true, degraded: false };
     }
 
-    return {
-      text: translatedText,
-      confidence: 0.9,
-      sourceLanguage: sourceLanguage,
-      targetLanguage: targetLanguage,
-      provider: 'openai'
-    };
+    const result = await callProvider(provider, async (signal) => {
+      const languages = await provider.supportedLanguages();
+      if (!languages.includes(targetLanguage)) return null;
+      return provider.translateStream(text, targetLanguage, sourceLanguage, {
+        glossaryInstructions: buildGlossaryInstructions(glossaryTerms, targetLanguage) || undefined,
+        signal,
+        onPartial
+      });
+    });
 
+    if (result) {
+      setCachedTranslation(cacheEntry, result);
+      return { ...result, provider: provider.name, degraded: false };
+    }
   } catch (error) {
-    console.error('OpenAI translation error:', error);
-    throw error;
+    console.error(`Streaming translation error (${provider.name}):`, error.message);
   }
+
+  return translateText(text, targetLanguage, sourceLanguage, {
+    ...translateOptions,
+    excludeProviders: [provider.name]
+  });
 };
 
 /**
- * Translate using Google Translate API
+ * Call a provider through its circuit breaker with timeouts and retries.
+ * Fallback providers are local, so they are called directly.
  */
-const translateWithGoogle = async (text, targetLanguage, sourceLanguage) => {
-  try {
-    const url = `https://translation.googleapis.com/language/translate/v2?key=${process.env.GOOGLE_TRANSLATE_API_KEY}`;
-    
-    const requestBody = {
-      q: text,
-      target: targetLanguage,
-      format: 'text'
-    };
+const callProvider = (provider, fn) => (
+  provider.isFallback ? fn(undefined) : callWithResilience(provider.name, fn)
+);
 
-    if (sourceLanguage !== 'auto') {
-      requestBody.source = sourceLanguage;
-    }
+/**
+ * Run a provider while enforcing glossary terms: as prompt instructions for
+ * providers that understand them, otherwise by protecting the terms with
+ * placeholders and substituting the forced text afterwards.
+ */
+const translateWithGlossary = async (provider, text, targetLanguage, sourceLanguage, terms, signal) => {
+  if (!terms.length) {
+    return provider.translate(text, targetLanguage, sourceLanguage, { signal });
+  }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody)
+  if (provider.glossaryMode === 'instructions') {
+    return provider.translate(text, targetLanguage, sourceLanguage, {
+      glossaryInstructions: buildGlossaryInstructions(terms, targetLanguage),
+      signal
     });
-
-    if (!response.ok) {
-      throw new Error(`Google Translate API error: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    const translation = result.data.translations[0];
-
-    return {
-      text: translation.translatedText,
-      confidence: 0.95,
-      sourceLanguage: translation.detectedSourceLanguage || sourceLanguage,
-      targetLanguage: targetLanguage,
-      provider: 'google'
-    };
-
-  } catch (error) {
-    console.error('Google Translate error:', error);
-    throw error;
   }
+
+  const { text: protectedText, placeholders } = protectTerms(text, terms, targetLanguage);
+  const result = await provider.translate(protectedText, targetLanguage, sourceLanguage, { signal });
+  return { ...result, text: restoreTerms(result.text, placeholders) };
 };
 
 /**
@@ -227,95 +274,22 @@ export const detectLanguage = async (text) => {
       return 'en'; // Default to English
     }
 
-    if (process.env.OPENAI_API_KEY) {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a language detection expert. Return only the ISO 639-1 language code (2 letters) for the given text.'
-          },
-          {
-            role: 'user',
-            content: `Detect the language of this text: "${text}"`
-          }
-        ],
-        max_tokens: 10,
-        temperature: 0
-      });
-
-      const detectedLang = response.choices[0]?.message?.content?.trim().toLowerCase();
-      return LANGUAGE_CODES[detectedLang] ? detectedLang : 'en';
+    for (const provider of resolveProviderChain('auto', '*')) {
+      try {
+        const detection = await callProvider(provider, signal => provider.detect(text, { signal }));
+        if (detection && LANGUAGE_CODES[detection.language]) {
+          return detection.language;
+        }
+      } catch (error) {
+        console.error(`Language detection error (${provider.name}):`, error.message);
+      }
     }
 
-    // Simple heuristic detection for common languages
-    return detectLanguageHeuristic(text);
+    // Offline n-gram model when no provider could tell
+    return detectLanguageOffline(text);
 
   } catch (error) {
     console.error('Language detection error:', error);
     return 'en';
   }
 };
-
-/**
- * Simple heuristic language detection
- */
-const detectLanguageHeuristic = (text) => {
-  const lowerText = text.toLowerCase();
-  
-  // Tamil detection
-  if (/[\u0B80-\u0BFF]/.test(text)) return 'ta';
-  
-  // Hindi detection
-  if (/[\u0900-\u097F]/.test(text)) return 'hi';
-  
-  // Chinese detection
-  if (/[\u4e00-\u9fff]/.test(text)) return 'zh';
-  
-  // Arabic detection
-  if (/[\u0600-\u06FF]/.test(text)) return 'ar';
-  
-  // Spanish common words
-  if (/\b(el|la|de|que|y|es|en|un|se|no|te|lo|le|da|su|por|son|con|para|al|una|ser|como|todo|pero|más|hacer|muy|puede|estar|también|ya|así|hasta|donde|cuando|porque|desde|sobre|entre|cada|tanto|algunos|mucho|después|tiempo|vida|nada|otro|antes|mismo|sin|mi|mayor|sólo|aquí|hay|debe|puede|decir|cada|nuevo|trabajo|fin|dar|nos|llegar|pasar|tiempo|bien|cada|gobierno|último|hablar|país|agua|más|nuevo|forma|equipo|madre|cualquier|nosotros|hora|tipo|empresa|caso|mano|contra|partido|grupo|momento|lugar|hecho|durante|siempre|guerra|menos|días|estados|noche|vivir|tanto|aire|tener|campo|trabajo|dinero|fuerza|mientras|valor|luz|nadie|cama|marido|producir|esperar|comprar|sistema|historia|árbol|variar|ponerse|hablar|señor|alto|tanto|libro|cambiar|llamar|pedir|número|parte|pequeño|derecho|hombre|ojo|vez|gobierno|mundo|año|trabajar|día|usar|hombre|agua|escribir|madre|área|nacional|dinero|historia|manera|derecho|casa|mostrar|empresa|lugar|grupo|problema|mano|sistema|programa|pregunta|seguir|trabajo|vida|llevar|niño|punto|creer|semana|ojo|caso|tiempo|persona|año|gobierno|día|hombre|mundo|vida|parte|lugar|estado|forma|estar|tener|hacer|decir|todo|cada|gran|otro|mismo|alguno|mucho|tanto|poco|más|muy|bien|donde|cuando|como|porque|pero|aunque|mientras|hasta|desde|entre|contra|durante|según|bajo|sobre|tras|mediante|excepto|salvo|incluso|además|tampoco|sino|sólo|aún|ya|todavía|siempre|nunca|jamás|acaso|quizá|tal|vez|claro|bueno|mejor|peor|mayor|menor|primero|último|único|solo|propio|mismo|otro|cierto|verdadero|falso|posible|imposible|fácil|difícil|simple|complicado|importante|necesario|suficiente|bastante|demasiado|poco|mucho|todo|nada|algo|alguien|nadie|cualquier|varios|ambos|cada|otro|mismo|propio|tal|tanto|cuanto|más|menos|muy|bien|mal|mejor|peor|así|aquí|ahí|allí|donde|cuando|como|porque|para|por|con|sin|entre|sobre|bajo|tras|desde|hasta|durante|mediante|según|excepto|salvo|incluso|además|tampoco|sino|pero|aunque|mientras|si|que|cual|quien|cuyo|donde|cuando|como|cuanto|más|menos|tanto|muy|bien|mal|mejor|peor|primero|último|único|solo|propio|mismo|otro|cierto|verdadero|falso|posible|imposible|fácil|difícil|simple|complicado|importante|necesario|suficiente|bastante|demasiado|poco|mucho|todo|nada|algo|alguien|nadie|cualquier|varios|ambos)\b/gi.test(lowerText)) {
-    return 'es';
-  }
-  
-  // French common words
-  if (/\b(le|de|et|à|un|il|être|et|en|avoir|que|pour|dans|ce|son|une|sur|avec|ne|se|pas|tout|plus|par|grand|ce|me|même|te|des|ces|vous|votre|foi|avoir|son|mot|où|comment|était|chaque|elle|faire|leur|temps|très|lui|bien|autre|depuis|pourrait|là|première|aussi|après|retour|autre|beaucoup|notre|bien|où|par|venir|son|maintenant|que|homme|grand|devenir|ici|main|haute|vieux|voir|lui|deux|façon|qui|huile|asseoir|maintenant|trouver|tête|debout|dans|fait|moins|dire|partie|tourner|problème|lieu|droit|grand|main|haut|petit|pourquoi|demander|homme|grand|essayer|encore|chemin|utilisation|elle|beaucoup|écrire|droite|essayer|gauche|aussi|chaque|elle|tourner|ici|pourquoi|demander|aller|homme|nouveau|travail|partie|prendre|obtenir|lieu|fait|vivre|où|après|retour|peu|seulement|tour|homme|travail|vie|chemin|même|dire|grand|groupe|droit|garçon|vieux|savoir|temps|eau|très|quand|beaucoup|peut|dire|chaque|dire|juste|nom|phrase|maison|mouvement|essayer|encore|animal|point|mère|monde|près|construire|soi|terre|père|tout|nouveau|travail|partie|prendre|obtenir|lieu|fait|vivre|où|après|retour|peu|seulement|tour|homme|travail|vie|chemin|même|dire|grand|groupe|droit|garçon|vieux|savoir|temps|eau|très|quand|beaucoup|peut|dire|chaque|dire|juste|nom|phrase|maison|mouvement|essayer|encore|animal|point|mère|monde|près|construire|soi|terre|père)\b/gi.test(lowerText)) {
-    return 'fr';
-  }
-  
-  // Default to English
-  return 'en';
-};
-
-/**
- * Mock functions for development/testing
- */
-const mockTranscription = () => ({
-  text: "This is a mock transcription for development purposes.",
-  language: 'en',
-  confidence: 0.85,
-  duration: 3.5,
-  segments: []
-});
-
-const mockTranslation = (text, targetLanguage, sourceLanguage) => {
-  const mockTranslations = {
-    'ta': `[Tamil translation of: ${text}]`,
-    'hi': `[Hindi translation of: ${text}]`,
-    'es': `[Spanish translation of: ${text}]`,
-    'fr': `[French translation of: ${text}]`,
-    'de': `[German translation of: ${text}]`,
-    'zh': `[Chinese translation of: ${text}]`,
-    'ar': `[Arabic translation of: ${text}]`
-  };
-
-  return {
-    text: mockTranslations[targetLanguage] || `[${targetLanguage} translation of: ${text}]`,
-    confidence: 0.8,
-    sourceLanguage: sourceLanguage,
-    targetLanguage: targetLanguage,
-    provider: 'mock'
-  };
-};
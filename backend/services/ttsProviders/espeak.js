@@ -0,0 +1,40 @@
+import { spawn } from 'child_process';
+
+// espeak-ng voice names where they differ from the ISO 639-1 code
+const VOICES = {
+  zh: 'cmn'
+};
+
+/**
+ * Local text-to-speech through an espeak-compatible command (espeak-ng by
+ * default, set ESPEAK_COMMAND to override) that accepts
+ * `-v <voice> --stdout --stdin` and writes WAV to stdout. Runs fully offline.
+ */
+const espeakProvider = {
+  name: 'espeak',
+
+  isConfigured: () => true,
+
+  synthesize: (text, language, { signal } = {}) => new Promise((resolve, reject) => {
+    const command = process.env.ESPEAK_COMMAND || 'espeak-ng';
+    // No shell, and the text goes through stdin so it can't be read as options
+    const child = spawn(command, ['-v', VOICES[language] || language, '--stdout', '--stdin'], { signal });
+
+    const chunks = [];
+    let stderr = '';
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.stdin.on('error', () => {}); // Reported through 'close' / 'error' instead
+    child.stdin.end(text);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+        return;
+      }
+      resolve({ audio: Buffer.concat(chunks), format: 'wav' });
+    });
+  })
+};
+
+export default espeakProvider;
@@ -0,0 +1,48 @@
+/**
+ * Text-to-speech provider registry, used to dub translated speech.
+ *
+ * A provider is an object with:
+ *   name                  - unique identifier
+ *   isConfigured()        - whether the deployment has what the provider needs
+ *   synthesize(text, language, { signal }) -> { audio: Buffer, format }
+ *
+ * TTS_PROVIDERS (comma separated, default "openai") picks the providers to try
+ * in order; add "espeak" for a local fallback or use it alone offline.
+ * There is no mock: without a working provider nobody gets dubbed audio.
+ */
+
+import openaiProvider from './openai.js';
+import espeakProvider from './espeak.js';
+
+const DEFAULT_ORDER = ['openai'];
+
+const providers = new Map();
+
+/**
+ * Register (or replace) a text-to-speech provider.
+ */
+export const registerTtsProvider = (provider) => {
+  if (!provider?.name || typeof provider.synthesize !== 'function') {
+    throw new Error('Text-to-speech providers need a name and a synthesize function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Ordered list of configured providers to try.
+ */
+export const resolveTtsChain = () => {
+  const names = process.env.TTS_PROVIDERS
+    ? process.env.TTS_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORDER;
+
+  return [...new Set(names)]
+    .map(name => {
+      const provider = providers.get(name);
+      if (!provider) console.warn(`Unknown text-to-speech provider in configuration: ${name}`);
+      return provider;
+    })
+    .filter(provider => provider?.isConfigured());
+};
+
+[openaiProvider, espeakProvider].forEach(registerTtsProvider);
@@ -0,0 +1,38 @@
+import OpenAI from 'openai';
+
+let client = null;
+
+// Created on first use so the server can start without an API key
+const getClient = () => {
+  if (!client) {
+    // Retries are handled by the resilience layer
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+};
+
+/**
+ * Text-to-speech with OpenAI's speech API. The voice (OPENAI_TTS_VOICE) is
+ * multilingual, so the language needs no special handling.
+ */
+const openaiProvider = {
+  name: 'openai',
+
+  isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+  synthesize: async (text, language, { signal } = {}) => {
+    const response = await getClient().audio.speech.create({
+      model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+      voice: process.env.OPENAI_TTS_VOICE || 'alloy',
+      input: text,
+      response_format: 'mp3'
+    }, { signal });
+
+    return {
+      audio: Buffer.from(await response.arrayBuffer()),
+      format: 'mp3'
+    };
+  }
+};
+
+export default openaiProvider;
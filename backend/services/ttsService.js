@@ -0,0 +1,28 @@
+import { resolveTtsChain } from './ttsProviders/index.js';
+import { callWithResilience } from './resilience.js';
+
+/**
+ * Synthesize speech with the configured text-to-speech providers
+ * @param {string} text - Text to speak
+ * @param {string} language - Language code of the text
+ * @returns {Object|null} { audio: Buffer, format, provider }, or null when no provider could speak it
+ */
+export const synthesizeSpeech = async (text, language) => {
+  if (!text || text.trim().length === 0) {
+    return null;
+  }
+
+  for (const provider of resolveTtsChain()) {
+    try {
+      const result = await callWithResilience(
+        `tts:${provider.name}`,
+        signal => provider.synthesize(text, language, { signal })
+      );
+      return { ...result, provider: provider.name };
+    } catch (error) {
+      console.error(`Speech synthesis error (${provider.name}):`, error.message);
+    }
+  }
+
+  return null;
+};
@@ -1,11 +1,30 @@
 // backend/socket/socketHandler.js
 
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Room from '../models/Room.js';
 import Message from '../models/Message.js';
 import User from '../models/User.js';
-import { translateText, transcribeAudio } from '../services/translationService.js';
+import { translateBatch, translateTextStream, transcribeAudio } from '../services/translationService.js';
+import { appendAudioChunk, flushSpeaker, flushAllForSpeaker } from '../services/audioIngestionService.js';
+import { loadGlossary } from '../services/glossaryService.js';
+import { LANGUAGE_CODES } from '../services/languages.js';
+import { synthesizeSpeech } from '../services/ttsService.js';
+import { getAttachmentStorage } from '../services/attachmentStorage/index.js';
+import { filterProfanity, slowModeWait, recordChatPost } from '../services/moderationService.js';
+import { canInRoom, hasPermission, outranks, getRoomRoles } from '../services/roomPermissions.js';
+import { checkRoomAdmission, recordRoomJoin, needsLobbyAdmission } from '../services/roomAdmission.js';
+import ModerationLog from '../models/ModerationLog.js';
 
-const connectedUsers = new Map(); // socket.id -> { user, currentRoomId }
+const connectedUsers = new Map(); // socket.id -> { user, currentRoomId, role, lobbyRoomId }
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_REACTION_LENGTH = 16; // A single emoji can span several code points
+const PARTIAL_SUBTITLE_INTERVAL_MS = 150; // Minimum gap between subtitle_partial events per language
+const TYPING_REBROADCAST_MS = 2000; // typing_start is passed on at most this often per user
+const TYPING_TIMEOUT_MS = 6000; // Typing stops by itself if the client goes quiet
+const READ_RECEIPT_FLUSH_MS = 1000; // message_read events are batched per connection
+const MAX_PENDING_READS = 200;
+const MAX_MODERATION_REASON_LENGTH = 500;
 
 export const handleSocketConnection = (socket, io) => {
   const user = socket.user;
@@ -16,35 +35,41 @@ export const handleSocketConnection = (socket, io) => {
   User.findByIdAndUpdate(userId, { isOnline: true, lastSeen: new Date() }).exec();
   console.log(`✅ User connected: ${user.username} (Socket ID: ${socket.id})`);
 
-  socket.on('join_room', async ({ roomId }) => {
+  // `password` is only needed for a private room the user hasn't joined over REST
+  socket.on('join_room', async ({ roomId, password } = {}) => {
     try {
       // --- DEBUG LOGGING ---
       console.log(`[DEBUG] User '${user.username}' is attempting to join room '${roomId}'`);
-      const room = await Room.findOne({ roomId }).populate('participants.user', 'username profile preferences');
+      const room = await loadRoomForJoin(roomId);
       
       if (!room) {
         console.log(`[DEBUG] Room not found in database for roomId: ${roomId}`);
         return socket.emit('error', { message: 'Room not found' });
       }
+      const rejection = await checkRoomAdmission(room, user._id, { password, ip: clientAddressOf(socket) });
+      if (rejection) {
+        return socket.emit('error', { message: rejection.message, retryAfter: rejection.retryAfter });
+      }
       console.log(`[DEBUG] Successfully found room '${roomId}' in database.`);
 
       const connection = connectedUsers.get(socket.id);
       if (connection?.currentRoomId) {
         await handleLeaveRoom(socket, io, connection.currentRoomId);
       }
+      if (connection?.lobbyRoomId) {
+        leaveLobby(io, connection, 'left');
+      }
 
-      socket.join(roomId);
-      connection.currentRoomId = roomId;
-      connectedUsers.set(socket.id, connection);
-      
-      const roomSockets = await io.in(roomId).fetchSockets();
-      const participants = roomSockets.map(s => connectedUsers.get(s.id)?.user).filter(Boolean);
+      if (needsLobbyAdmission(room, userId)) {
+        connection.lobbyRoomId = roomId;
+        connection.lobbyRequestedAt = new Date();
+        socket.emit('lobby_waiting', { roomId, roomName: room.name });
+        emitToAdmitters(io, roomId, 'lobby_request', lobbyRequestOf(connection));
+        console.log(`[Room: ${roomId}] 🚪 ${user.username} is waiting in the lobby`);
+        return;
+      }
 
-      console.log(`[DEBUG] Emitting 'room_joined' to socket ${socket.id}`);
-      socket.emit('room_joined', { room, participants });
-      
-      socket.to(roomId).emit('user_joined', { user });
-      console.log(`[Room: ${roomId}] User ${user.username} joined successfully.`);
+      await enterRoom(socket, io, room);
     } catch (error) {
       console.error('CRASH in join_room handler:', error);
       socket.emit('error', { message: 'Internal server error while joining room' });
@@ -52,35 +77,504 @@ export const handleSocketConnection = (socket, io) => {
   });
 
   socket.on('leave_room', async ({ roomId }) => await handleLeaveRoom(socket, io, roomId));
-  socket.on('webrtc_offer', ({ offer, targetUserId }) => io.to(targetUserId).emit('webrtc_offer', { offer, fromUserId: userId }));
-  socket.on('webrtc_answer', ({ answer, targetUserId }) => io.to(targetUserId).emit('webrtc_answer', { answer, fromUserId: userId }));
-  socket.on('webrtc_ice_candidate', ({ candidate, targetUserId }) => io.to(targetUserId).emit('webrtc_ice_candidate', { candidate, fromUserId: userId }));
+
+  // Hosts and co-hosts let people in from the lobby, one at a time (`userId`) or all at once (`all`)
+  socket.on('lobby_admit', (payload) => handleLobbyResponse(socket, io, true, payload));
+  socket.on('lobby_deny', (payload) => handleLobbyResponse(socket, io, false, payload));
+
+  // Signaling only flows between two people in the same call
+  const relaySignal = (event, targetUserId, payload) => {
+    const roomId = connectedUsers.get(socket.id)?.currentRoomId;
+    const targetId = targetUserId ? String(targetUserId) : '';
+    if (!roomId || targetId === userId || !isUserInRoom(targetId, roomId)) return;
+    io.to(targetId).emit(event, { ...payload, fromUserId: userId });
+  };
+  socket.on('webrtc_offer', ({ offer, targetUserId } = {}) => relaySignal('webrtc_offer', targetUserId, { offer }));
+  socket.on('webrtc_answer', ({ answer, targetUserId } = {}) => relaySignal('webrtc_answer', targetUserId, { answer }));
+  socket.on('webrtc_ice_candidate', ({ candidate, targetUserId } = {}) => relaySignal('webrtc_ice_candidate', targetUserId, { candidate }));
   
   // User preference updates
-  socket.on('user_preferences_updated', ({ roomId, preferences }) => {
+  socket.on('user_preferences_updated', ({ roomId, preferences } = {}) => {
+    if (!roomId || connectedUsers.get(socket.id)?.currentRoomId !== roomId) return;
+    // The language becomes a translation target, cache key and TTS voice, so only known codes are accepted
+    if (preferences?.language !== undefined && !Object.hasOwn(LANGUAGE_CODES, preferences.language)) {
+      return socket.emit('error', { message: 'Unsupported language' });
+    }
     console.log(`[Preferences] User ${user.username} updated preferences in room ${roomId}:`, preferences);
+    // Keep the cached user in sync so chat translations target the new language
+    if (preferences?.language) {
+      user.preferences.language = preferences.language;
+    }
+    if (typeof preferences?.hearTranslatedAudio === 'boolean') {
+      user.preferences.hearTranslatedAudio = preferences.hearTranslatedAudio;
+    }
     socket.to(roomId).emit('user_preferences_updated', {
       userId,
       preferences
     });
   });
   
-  socket.on('disconnect', () => handleDisconnect(socket, io));
+  // `replyTo` posts in a thread; `recipientId` makes the message private to one participant
+  socket.on('send_message', async ({ roomId, message, replyTo, recipientId } = {}) => {
+    try {
+      const connection = connectedUsers.get(socket.id);
+      if (!roomId || connection?.currentRoomId !== roomId) {
+        return socket.emit('error', { message: 'You must join the room before sending messages' });
+      }
+
+      const text = typeof message === 'string' ? message.trim() : '';
+      if (!text) return;
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        return socket.emit('error', { message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+      }
+
+      const room = await Room.findOne({ roomId }).select('_id roomId host participants bannedUsers settings.slowModeSeconds');
+      if (!room) {
+        return socket.emit('error', { message: 'Room not found' });
+      }
+      if (!canInRoom(room, user._id, 'send_messages')) {
+        return socket.emit('error', { message: 'Viewers cannot post in the chat' });
+      }
+
+      const wait = slowModeWait(room, user._id);
+      if (wait > 0) {
+        return socket.emit('error', { message: `Slow mode is on, you can send another message in ${wait}s`, retryAfter: wait });
+      }
+      // Counted before any await, so messages sent back to back can't all pass the check
+      recordChatPost(room, user._id);
+
+      const audience = await Message.resolveAudience(room, user._id, { replyTo, recipientId });
+      if (audience.error) {
+        return socket.emit('error', { message: audience.error });
+      }
+
+      const sourceLanguage = user.preferences?.language || 'en';
+      const chatMessage = await Message.create({
+        room: room._id,
+        sender: user._id,
+        type: 'text',
+        ...audience.value,
+        content: {
+          original: { text: filterProfanity(text, sourceLanguage).text, language: sourceLanguage }
+        }
+      });
+      await chatMessage.populate('sender', 'username profile');
+
+      stopTyping(socket, connection);
+      const translationCount = await publishChatMessage(io, roomId, chatMessage);
+      console.log(`[Room: ${roomId}] ${user.username} sent a message (${translationCount} translations)`);
+    } catch (error) {
+      console.error('CRASH in send_message handler:', error);
+      socket.emit('error', { message: 'Internal server error while sending message' });
+    }
+  });
+
+  // Only the author may edit; the text is re-translated for everyone in the room
+  socket.on('edit_message', async ({ roomId, messageId, text: newText } = {}) => {
+    try {
+      const found = await findRoomMessage(socket, roomId, messageId);
+      if (!found) return;
+      const { message } = found;
+
+      if (message.sender.toString() !== userId || message.type !== 'text') {
+        return socket.emit('error', { message: 'You can only edit your own chat messages' });
+      }
+
+      const text = typeof newText === 'string' ? newText.trim() : '';
+      if (!text) return;
+      if (text.length > MAX_MESSAGE_LENGTH) {
+        return socket.emit('error', { message: `Messages are limited to ${MAX_MESSAGE_LENGTH} characters` });
+      }
+
+      message.content.original.text = filterProfanity(text, message.content.original.language).text;
+      message.content.translations = [];
+      message.metadata.edited = true;
+      message.metadata.editedAt = new Date();
+      await message.save();
+
+      const recipients = await getMessageAudience(io, roomId, message);
+      await translateForRecipients(message, recipients);
+      await message.populate('sender', 'username profile');
+
+      deliverMessage(io, message, recipients, 'message_updated');
+      console.log(`[Room: ${roomId}] ${user.username} edited message ${messageId}`);
+    } catch (error) {
+      console.error('CRASH in edit_message handler:', error);
+      socket.emit('error', { message: 'Internal server error while editing message' });
+    }
+  });
+
+  // The author, the host or a co-host may delete a message
+  socket.on('delete_message', async ({ roomId, messageId } = {}) => {
+    try {
+      const found = await findRoomMessage(socket, roomId, messageId);
+      if (!found) return;
+      const { room, message } = found;
+
+      const isAuthor = message.sender.toString() === userId;
+      if (!isAuthor && !canInRoom(room, userId, 'moderate_messages')) {
+        return socket.emit('error', { message: 'Only the author or a host can delete this message' });
+      }
+
+      await removeMessage(message);
+      await message.populate('sender', 'username profile');
+
+      deliverMessage(io, message, await getMessageAudience(io, roomId, message), 'message_updated');
+      console.log(`[Room: ${roomId}] ${user.username} deleted message ${messageId}`);
+    } catch (error) {
+      console.error('CRASH in delete_message handler:', error);
+      socket.emit('error', { message: 'Internal server error while deleting message' });
+    }
+  });
+
+  // Hosts and co-hosts can hide any message for everyone; the removal is logged
+  socket.on('moderate_message', async ({ roomId, messageId, reason } = {}) => {
+    try {
+      const found = await findRoomMessage(socket, roomId, messageId);
+      if (!found) return;
+      const { room, message } = found;
+
+      if (!canInRoom(room, userId, 'moderate_messages')) {
+        return socket.emit('error', { message: 'Only hosts and co-hosts can moderate messages' });
+      }
+
+      await ModerationLog.create({
+        room: room._id,
+        moderator: user._id,
+        action: 'hide_message',
+        targetUser: message.sender,
+        message: message._id,
+        content: {
+          text: message.content.original.text,
+          language: message.content.original.language,
+          attachmentName: message.attachment?.filename
+        },
+        reason: typeof reason === 'string' ? reason.trim().slice(0, MAX_MODERATION_REASON_LENGTH) : undefined
+      });
+
+      message.moderation = { by: user._id, at: new Date() };
+      await removeMessage(message);
+      await message.populate('sender', 'username profile');
+
+      deliverMessage(io, message, await getMessageAudience(io, roomId, message), 'message_updated');
+      console.log(`[Room: ${roomId}] 🛡️ ${user.username} removed message ${messageId}`);
+    } catch (error) {
+      console.error('CRASH in moderate_message handler:', error);
+      socket.emit('error', { message: 'Internal server error while moderating message' });
+    }
+  });
+
+  // Reacting again with the same emoji removes the reaction
+  socket.on('react_message', async ({ roomId, messageId, emoji } = {}) => {
+    try {
+      if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_REACTION_LENGTH) {
+        return socket.emit('error', { message: 'Invalid reaction' });
+      }
 
-  // Other handlers (send_message, audio_data) can be placed here...
+      const found = await findRoomMessage(socket, roomId, messageId);
+      if (!found) return;
+      const { message } = found;
+
+      const existing = message.metadata.reactions.find(r => r.user.toString() === userId);
+      if (existing?.emoji === emoji) {
+        await message.removeReaction(userId);
+      } else {
+        await message.addReaction(userId, emoji);
+      }
+      await message.populate('sender', 'username profile');
+
+      deliverMessage(io, message, await getMessageAudience(io, roomId, message), 'message_updated');
+    } catch (error) {
+      console.error('CRASH in react_message handler:', error);
+      socket.emit('error', { message: 'Internal server error while reacting to message' });
+    }
+  });
+
+  // Raw PCM from the client's audio worklet, assembled into subtitles per speaker
+  socket.on('audio_data', ({ roomId, audio } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId || !hasPermission(connection.role, 'speak')) return;
+
+    appendAudioChunk(roomId, userId, audio, (utterance) => handleUtterance(io, user, utterance));
+  });
+
+  // Host and co-host controls over other participants in the call
+  socket.on('host_mute', (payload) => handleHostAction(socket, io, 'mute', payload));
+  socket.on('host_stop_video', (payload) => handleHostAction(socket, io, 'stop_video', payload));
+  socket.on('host_remove', (payload) => handleHostAction(socket, io, 'remove', payload));
+  socket.on('host_ban', (payload) => handleHostAction(socket, io, 'ban', payload));
+
+  // Typing indicators, for the room or for one participant in a private conversation
+  socket.on('typing_start', ({ roomId, recipientId } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId) return;
+
+    const target = recipientId ? String(recipientId) : null;
+    if (target && !isUserInRoom(target, roomId)) return;
+    startTyping(socket, connection, target);
+  });
+
+  socket.on('typing_stop', ({ roomId } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId) return;
+    stopTyping(socket, connection);
+  });
+
+  // Read receipts are collected and written in batches
+  socket.on('message_read', ({ roomId, messageIds } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId || !Array.isArray(messageIds)) return;
+
+    connection.pendingReads = connection.pendingReads || new Set();
+    messageIds
+      .filter(id => mongoose.isValidObjectId(id))
+      .forEach(id => {
+        if (connection.pendingReads.size < MAX_PENDING_READS) connection.pendingReads.add(String(id));
+      });
+
+    if (!connection.readTimer) {
+      connection.readTimer = setTimeout(() => flushReadReceipts(io, connection), READ_RECEIPT_FLUSH_MS);
+    }
+  });
+
+  // Voice activity boundaries detected by the client's audio worklet
+  socket.on('utterance_start', ({ roomId } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId || connection.speaking) return;
+
+    connection.speaking = true;
+    socket.to(roomId).emit('speaking_state', { userId, speaking: true });
+  });
+
+  socket.on('utterance_end', ({ roomId } = {}) => {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId) return;
+
+    flushSpeaker(roomId, userId);
+    if (connection.speaking) {
+      connection.speaking = false;
+      socket.to(roomId).emit('speaking_state', { userId, speaking: false });
+    }
+  });
+
+  socket.on('disconnect', () => handleDisconnect(socket, io));
 };
 
 // --- Helper Functions ---
+const loadRoomForJoin = (roomId) => Room.findOne({ roomId })
+  .select('+settings.password')
+  .populate('participants.user', 'username profile preferences');
+
+// With TRUST_PROXY set, the address the nearest proxy saw, like req.ip in the REST routes
+const clientAddressOf = (socket) => {
+  const forwarded = process.env.TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+};
+
+/**
+ * Puts a socket into the call and tells everyone about it. Hosts and co-hosts
+ * are also sent whoever is waiting in the lobby.
+ * @param {Object} room - Room document with populated participants
+ */
+const enterRoom = async (socket, io, room) => {
+  const { roomId } = room;
+  const connection = connectedUsers.get(socket.id);
+  const user = connection.user;
+
+  await recordRoomJoin(room, user._id);
+  socket.join(roomId);
+  connection.currentRoomId = roomId;
+  connection.role = room.roleOf(user._id) || 'participant';
+  connectedUsers.set(socket.id, connection);
+  
+  const participants = (await getRoomConnections(io, roomId)).map(c => c.user);
+
+  console.log(`[DEBUG] Emitting 'room_joined' to socket ${socket.id}`);
+  socket.emit('room_joined', { room, participants, roles: getRoomRoles(room) });
+  
+  socket.to(roomId).emit('user_joined', { user });
+  console.log(`[Room: ${roomId}] User ${user.username} joined successfully.`);
+
+  if (hasPermission(connection.role, 'admit_participants')) {
+    getLobbyEntries(roomId).forEach(([, waiting]) => socket.emit('lobby_request', lobbyRequestOf(waiting)));
+  }
+};
+
+const getLobbyEntries = (roomId) => [...connectedUsers.entries()].filter(([, c]) => c.lobbyRoomId === roomId);
+
+const lobbyRequestOf = (connection) => ({
+  roomId: connection.lobbyRoomId,
+  user: {
+    _id: connection.user._id.toString(),
+    username: connection.user.username,
+    language: connection.user.preferences?.language || 'en'
+  },
+  requestedAt: connection.lobbyRequestedAt
+});
+
+const emitToAdmitters = (io, roomId, event, payload) => {
+  connectedUsers.forEach((connection, socketId) => {
+    if (connection.currentRoomId === roomId && hasPermission(connection.role, 'admit_participants')) {
+      io.to(socketId).emit(event, payload);
+    }
+  });
+};
+
+/**
+ * Takes a connection out of the lobby; `status` is 'admitted', 'denied' or 'left'.
+ */
+const leaveLobby = (io, connection, status) => {
+  const roomId = connection.lobbyRoomId;
+  connection.lobbyRoomId = null;
+  connection.lobbyRequestedAt = null;
+  emitToAdmitters(io, roomId, 'lobby_update', { roomId, userId: connection.user._id.toString(), status });
+};
+
+// Whether letting the user in would put the room over capacity. Their own
+// lobby seat doesn't count against them.
+const isFullFor = (room, userId) => {
+  const others = room.participants.filter(p => p.isActive && (p.user._id || p.user).toString() !== userId);
+  return others.length >= room.settings.maxParticipants;
+};
+
+/**
+ * Lets waiting connections into the call while there is room for them.
+ * @returns {number} How many were left in the lobby because the room is full
+ */
+const admitFromLobby = async (io, roomId, entries) => {
+  if (entries.length === 0) return 0;
+  const room = await loadRoomForJoin(roomId);
+  if (!room) return 0;
+
+  // enterRoom records them as admitted, so the count stays current as we go
+  let leftWaiting = 0;
+  for (const [socketId, connection] of entries) {
+    if (isFullFor(room, connection.user._id.toString())) {
+      io.to(socketId).emit('error', { message: 'This room has reached its maximum capacity' });
+      leftWaiting++;
+      continue;
+    }
+    leaveLobby(io, connection, 'admitted');
+    const waitingSocket = io.sockets.sockets.get(socketId);
+    if (waitingSocket) await enterRoom(waitingSocket, io, room);
+  }
+  return leftWaiting;
+};
+
+/**
+ * Lets everyone waiting into the call, e.g. after the lobby is turned off.
+ */
+export const releaseLobby = async (io, roomId) => {
+  await admitFromLobby(io, roomId, getLobbyEntries(roomId));
+};
+
+const handleLobbyResponse = async (socket, io, admit, { roomId, userId, all } = {}) => {
+  try {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId) {
+      return socket.emit('error', { message: 'You must join the room first' });
+    }
+    if (!hasPermission(connection.role, 'admit_participants')) {
+      return socket.emit('error', { message: 'Only hosts and co-hosts can admit people from the lobby' });
+    }
+
+    const entries = getLobbyEntries(roomId)
+      .filter(([, waiting]) => all || waiting.user._id.toString() === String(userId));
+    if (entries.length === 0) {
+      return socket.emit('error', { message: 'Nobody matching that is waiting in the lobby' });
+    }
+
+    const by = connection.user.username;
+    if (admit) {
+      const leftWaiting = await admitFromLobby(io, roomId, entries);
+      if (leftWaiting > 0) {
+        socket.emit('error', { message: `The room is full, so ${leftWaiting} ${leftWaiting === 1 ? 'person is' : 'people are'} still waiting in the lobby` });
+      }
+    } else {
+      entries.forEach(([socketId, waiting]) => {
+        io.to(socketId).emit('lobby_denied', { roomId, by });
+        leaveLobby(io, waiting, 'denied');
+      });
+      // Give back the seats taken by their REST join
+      const room = await Room.findOne({ roomId });
+      for (const [, waiting] of entries) {
+        await room?.removeParticipant(waiting.user._id);
+      }
+    }
+
+    console.log(`[Room: ${roomId}] 🚪 ${by} ${admit ? 'admitted' : 'denied'} ${entries.length} from the lobby`);
+  } catch (error) {
+    console.error('CRASH in lobby handler:', error);
+    socket.emit('error', { message: 'Internal server error while answering the lobby' });
+  }
+};
+
 const handleLeaveRoom = async (socket, io, roomId) => {
   const connection = connectedUsers.get(socket.id);
+  if (connection?.lobbyRoomId && connection.lobbyRoomId === roomId) {
+    return leaveLobby(io, connection, 'left');
+  }
   if (!connection || connection.currentRoomId !== roomId) return;
   
+  await flushReadReceipts(io, connection);
+  stopTyping(socket, connection);
+
   socket.leave(roomId);
   connection.currentRoomId = null;
+  connection.speaking = false;
+  flushAllForSpeaker(connection.user._id.toString());
   connectedUsers.set(socket.id, connection);
   
   io.to(roomId).emit('user_left', { userId: connection.user._id.toString() });
   console.log(`[Room: ${roomId}] User ${connection.user.username} left`);
+
+  if (connection.role === 'host') {
+    await promoteCoHost(io, roomId, connection.user._id.toString());
+  }
+};
+
+/**
+ * Hands the room to the co-host who has been in the call longest once the
+ * host has no connection left in it. Without a co-host present the room
+ * keeps its host.
+ */
+const promoteCoHost = async (io, roomId, hostId) => {
+  try {
+    if (isUserInRoom(hostId, roomId)) return;
+
+    const room = await Room.findOne({ roomId });
+    if (!room || room.host.toString() !== hostId) return;
+
+    const successor = room.participants
+      .filter(p => p.isActive && p.role === 'co-host' && isUserInRoom(p.user.toString(), roomId))
+      .sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    if (!successor) return;
+
+    await room.transferHost(successor.user);
+    broadcastRoomRoles(io, room);
+    console.log(`[Room: ${roomId}] 👑 Host left, ${successor.user} is the new host`);
+  } catch (error) {
+    console.error('Host promotion error:', error);
+  }
+};
+
+/**
+ * Refreshes the cached role of everyone in the call and tells them about
+ * the room's current roles, after a role change or host transfer.
+ */
+export const broadcastRoomRoles = (io, room) => {
+  const roles = getRoomRoles(room);
+  connectedUsers.forEach(connection => {
+    if (connection.currentRoomId === room.roomId) {
+      connection.role = roles[connection.user._id.toString()] || 'participant';
+    }
+  });
+
+  io?.to(room.roomId).emit('roles_updated', {
+    roomId: room.roomId,
+    host: room.host.toString(),
+    roles
+  });
 };
 
 const handleDisconnect = async (socket, io) => {
@@ -89,8 +583,462 @@ const handleDisconnect = async (socket, io) => {
     if (connection.currentRoomId) {
       await handleLeaveRoom(socket, io, connection.currentRoomId);
     }
+    if (connection.lobbyRoomId) {
+      leaveLobby(io, connection, 'left');
+    }
     await User.findByIdAndUpdate(connection.user._id, { isOnline: false, lastSeen: new Date() });
     connectedUsers.delete(socket.id);
     console.log(`❌ User disconnected: ${connection.user.username}`);
   }
-};
\ No newline at end of file
+};
+/**
+ * Carries out a host's or co-host's mute / stop_video / remove / ban request
+ * against a lower-ranked participant currently in the call.
+ */
+const handleHostAction = async (socket, io, action, { roomId, targetUserId, reason } = {}) => {
+  try {
+    const connection = connectedUsers.get(socket.id);
+    if (!roomId || connection?.currentRoomId !== roomId) {
+      return socket.emit('error', { message: 'You must join the room first' });
+    }
+
+    const room = await Room.findOne({ roomId });
+    if (!room) {
+      return socket.emit('error', { message: 'Room not found' });
+    }
+
+    const actorId = connection.user._id.toString();
+    if (!canInRoom(room, actorId, 'manage_participants')) {
+      return socket.emit('error', { message: 'Only hosts and co-hosts can do that' });
+    }
+
+    const targetId = targetUserId ? String(targetUserId) : '';
+    if (targetId === actorId || !isUserInRoom(targetId, roomId)) {
+      return socket.emit('error', { message: 'That participant is not in the call' });
+    }
+    if (!outranks(room.roleOf(actorId), room.roleOf(targetId))) {
+      return socket.emit('error', { message: 'You can only do that to participants with a lower role' });
+    }
+
+    const by = connection.user.username;
+    switch (action) {
+      case 'mute':
+        io.to(targetId).emit('forced_mute', { roomId, by });
+        break;
+      case 'stop_video':
+        io.to(targetId).emit('forced_stop_video', { roomId, by });
+        break;
+      case 'remove':
+      case 'ban': {
+        if (action === 'ban') {
+          await room.banUser(targetId, connection.user._id, typeof reason === 'string' ? reason.trim() : undefined);
+        } else {
+          await room.removeParticipant(targetId);
+        }
+
+        // Every socket the user has in this call is taken out of it
+        const targetSockets = [...connectedUsers.entries()]
+          .filter(([, c]) => c.currentRoomId === roomId && c.user._id.toString() === targetId)
+          .map(([socketId]) => io.sockets.sockets.get(socketId))
+          .filter(Boolean);
+        for (const targetSocket of targetSockets) {
+          targetSocket.emit('removed_from_room', { roomId, by, banned: action === 'ban' });
+          await handleLeaveRoom(targetSocket, io, roomId);
+        }
+        break;
+      }
+      default:
+        return;
+    }
+
+    console.log(`[Room: ${roomId}] 👮 ${by} used ${action} on ${targetId}`);
+  } catch (error) {
+    console.error(`CRASH in host ${action} handler:`, error);
+    socket.emit('error', { message: 'Internal server error while applying host action' });
+  }
+};
+
+/**
+ * Whether any of a user's sockets is currently in the room.
+ */
+const isUserInRoom = (userId, roomId) => [...connectedUsers.values()].some(
+  c => c.currentRoomId === roomId && c.user._id.toString() === userId
+);
+
+const emitTypingState = (socket, connection, typing, recipientId) => {
+  socket.to(recipientId || connection.currentRoomId).emit('typing_state', {
+    roomId: connection.currentRoomId,
+    userId: connection.user._id.toString(),
+    username: connection.user.username,
+    typing,
+    recipientId
+  });
+};
+
+/**
+ * Marks a connection as typing. Repeated typing_start events are only passed
+ * on every TYPING_REBROADCAST_MS, and typing ends after TYPING_TIMEOUT_MS
+ * without one, so a closed tab never leaves a stuck indicator.
+ */
+const startTyping = (socket, connection, recipientId) => {
+  if (connection.typing && connection.typing.recipientId !== recipientId) {
+    stopTyping(socket, connection);
+  }
+
+  const now = Date.now();
+  if (!connection.typing) {
+    connection.typing = { recipientId, lastSentAt: 0, timer: null };
+  }
+  if (now - connection.typing.lastSentAt >= TYPING_REBROADCAST_MS) {
+    emitTypingState(socket, connection, true, recipientId);
+    connection.typing.lastSentAt = now;
+  }
+
+  clearTimeout(connection.typing.timer);
+  connection.typing.timer = setTimeout(() => stopTyping(socket, connection), TYPING_TIMEOUT_MS);
+};
+
+const stopTyping = (socket, connection) => {
+  if (!connection?.typing) return;
+  clearTimeout(connection.typing.timer);
+  if (connection.currentRoomId) {
+    emitTypingState(socket, connection, false, connection.typing.recipientId);
+  }
+  connection.typing = null;
+};
+
+/**
+ * Records the connection's pending read receipts and tells the people who can
+ * see each message (the room, or just the participants of a private one).
+ */
+const flushReadReceipts = async (io, connection) => {
+  clearTimeout(connection.readTimer);
+  connection.readTimer = null;
+  const ids = [...(connection.pendingReads || [])];
+  connection.pendingReads = null;
+
+  const roomId = connection.currentRoomId;
+  if (ids.length === 0 || !roomId) return;
+
+  try {
+    const room = await Room.findOne({ roomId }).select('_id');
+    if (!room) return;
+
+    const readerId = connection.user._id;
+    const messages = await Message.find({
+      _id: { $in: ids },
+      room: room._id,
+      sender: { $ne: readerId },
+      'readBy.user': { $ne: readerId },
+      isDeleted: false,
+      ...Message.visibleTo(readerId)
+    }).select('_id sender recipients');
+    if (messages.length === 0) return;
+
+    const readAt = new Date();
+    await Message.updateMany(
+      { _id: { $in: messages.map(m => m._id) }, 'readBy.user': { $ne: readerId } },
+      { $push: { readBy: { user: readerId, readAt } } }
+    );
+
+    const userId = readerId.toString();
+    const roomMessageIds = messages.filter(m => m.recipients.length === 0).map(m => m._id.toString());
+    if (roomMessageIds.length > 0) {
+      io.to(roomId).emit('messages_read', { userId, messageIds: roomMessageIds, readAt });
+    }
+    messages.filter(m => m.recipients.length > 0).forEach((message) => {
+      [message.sender, ...message.recipients].forEach((participantId) => {
+        io.to(participantId.toString()).emit('messages_read', {
+          userId,
+          messageIds: [message._id.toString()],
+          readAt
+        });
+      });
+    });
+  } catch (error) {
+    console.error('Failed to record read receipts:', error);
+  }
+};
+
+/**
+ * Returns the connections (socket id + user) currently inside a room.
+ */
+const getRoomConnections = async (io, roomId) => {
+  const roomSockets = await io.in(roomId).fetchSockets();
+  return roomSockets
+    .map(s => ({ socketId: s.id, user: connectedUsers.get(s.id)?.user }))
+    .filter(c => c.user);
+};
+
+/**
+ * Translates a message once per distinct recipient language and stores the
+ * results on the message. Returns the number of translations added.
+ * With `onPartial(language, text)` translations are streamed as they arrive.
+ */
+const translateForRecipients = async (message, recipients, { onPartial } = {}) => {
+  const { text, language: sourceLanguage } = message.content.original;
+  const targetLanguages = [...new Set(
+    recipients.map(r => r.user.preferences?.language || 'en')
+  )].filter(lang => lang !== sourceLanguage);
+
+  if (targetLanguages.length === 0) return 0;
+
+  const glossary = await loadGlossary(message.room);
+  let results;
+  if (onPartial) {
+    results = await Promise.all(targetLanguages.map(lang => translateTextStream(text, lang, sourceLanguage, {
+      glossary,
+      onPartial: partial => onPartial(lang, filterProfanity(partial, lang).text)
+    })));
+  } else {
+    const [byLanguage] = await translateBatch([text], targetLanguages, sourceLanguage, { glossary });
+    results = targetLanguages.map(lang => byLanguage[lang]);
+  }
+
+  let count = 0;
+  // addTranslation saves the document, so apply the results one at a time
+  for (const [index, result] of results.entries()) {
+    if (!result) continue;
+    const language = targetLanguages[index];
+    await message.addTranslation(
+      language, filterProfanity(result.text, language).text, result.confidence, result.provider, result.degraded
+    );
+    count++;
+  }
+  return count;
+};
+
+const recordRoomActivity = (roomObjectId, recipients, sourceLanguage, translationCount) => {
+  const languages = [...new Set([
+    sourceLanguage,
+    ...recipients.map(r => r.user.preferences?.language || 'en')
+  ])];
+
+  return Room.updateOne({ _id: roomObjectId }, {
+    $inc: {
+      'metadata.totalMessages': 1,
+      'metadata.totalTranslations': translationCount
+    },
+    $addToSet: { 'metadata.languages': { $each: languages } }
+  });
+};
+
+/**
+ * Translates a new chat message (or attachment caption) for everyone in the
+ * room, records the activity and delivers it. Returns the translation count.
+ */
+export const publishChatMessage = async (io, roomId, message) => {
+  const recipients = await getMessageAudience(io, roomId, message);
+  const translationCount = message.content.original.text
+    ? await translateForRecipients(message, recipients)
+    : 0;
+  await recordRoomActivity(message.room, recipients, message.content.original.language, translationCount);
+
+  deliverMessage(io, message, recipients);
+  return translationCount;
+};
+
+/**
+ * Soft-deletes a message and drops its attachment file, if any.
+ */
+const removeMessage = async (message) => {
+  if (message.attachment?.key) {
+    await getAttachmentStorage(message.attachment.storage).remove(message.attachment.key);
+  }
+  await message.softDelete();
+};
+
+/**
+ * Looks up a message for an edit/delete/reaction request from a socket that
+ * is in the message's room. Emits an error and returns null otherwise.
+ */
+const findRoomMessage = async (socket, roomId, messageId) => {
+  const connection = connectedUsers.get(socket.id);
+  if (!roomId || connection?.currentRoomId !== roomId) {
+    socket.emit('error', { message: 'You must join the room before changing messages' });
+    return null;
+  }
+
+  const room = await Room.findOne({ roomId }).select('_id host participants');
+  const message = room && mongoose.isValidObjectId(messageId)
+    ? await Message.findOne({ _id: messageId, room: room._id, isDeleted: false })
+    : null;
+  if (!message || !message.isVisibleTo(connection.user._id)) {
+    socket.emit('error', { message: 'Message not found' });
+    return null;
+  }
+
+  return { room, message };
+};
+
+/**
+ * The room connections allowed to see a message (everyone, unless it is private).
+ */
+const getMessageAudience = async (io, roomId, message) => {
+  const connections = await getRoomConnections(io, roomId);
+  return connections.filter(({ user }) => message.isVisibleTo(user._id));
+};
+
+/**
+ * Sends every recipient the message along with the translation in their language.
+ * Also used with `message_updated` after an edit, delete or reaction.
+ */
+const deliverMessage = (io, message, recipients, event = 'new_message') => {
+  if (message.recipients.length > 0) {
+    // Private messages go to the user rooms of the people in the conversation
+    const delivered = new Set();
+    recipients.forEach(({ user }) => {
+      const id = user._id.toString();
+      if (delivered.has(id) || !message.isVisibleTo(id)) return;
+      delivered.add(id);
+      io.to(id).emit(event, {
+        message: message.toRecipientObject(user.preferences?.language || 'en')
+      });
+    });
+    return;
+  }
+
+  recipients.forEach(({ socketId, user }) => {
+    const language = user.preferences?.language || 'en';
+    io.to(socketId).emit(event, {
+      message: message.toRecipientObject(language)
+    });
+  });
+};
+
+/**
+ * Sends `dubbed_audio` (text-to-speech of the translation) to every listener
+ * who asked to hear translated audio, synthesizing once per language. Nothing
+ * is dubbed when the speech or its translation came from a fallback.
+ */
+const deliverDubbedAudio = async (io, segment, message, recipients) => {
+  // Translating a mock transcript would only dub the placeholder text
+  if (segment.degraded) return;
+
+  const listenersByLanguage = new Map();
+  recipients.forEach(({ socketId, user }) => {
+    if (!user.preferences?.hearTranslatedAudio) return;
+    if (user._id.toString() === segment.speakerId) return;
+
+    const language = user.preferences.language || 'en';
+    const translation = message.getTranslation(language);
+    // Speaking placeholder output aloud would be worse than silence
+    if (language === segment.language || !translation || translation.degraded) return;
+
+    if (!listenersByLanguage.has(language)) listenersByLanguage.set(language, []);
+    listenersByLanguage.get(language).push(socketId);
+  });
+
+  await Promise.all([...listenersByLanguage.entries()].map(async ([language, socketIds]) => {
+    const text = message.getTranslation(language).text;
+    const speech = await synthesizeSpeech(text, language);
+    if (!speech) return;
+
+    socketIds.forEach(socketId => io.to(socketId).emit('dubbed_audio', {
+      segmentId: segment.segmentId,
+      speakerId: segment.speakerId,
+      language,
+      text,
+      audio: speech.audio,
+      format: speech.format
+    }));
+  }));
+};
+
+/**
+ * Emits `subtitle_partial` for one language at most every
+ * PARTIAL_SUBTITLE_INTERVAL_MS; `subtitle_final` always follows.
+ */
+const createPartialEmitter = (io, roomId, segment) => {
+  const lastSentAt = new Map();
+
+  return (language, text) => {
+    const now = Date.now();
+    if (now - (lastSentAt.get(language) || 0) < PARTIAL_SUBTITLE_INTERVAL_MS) return;
+    lastSentAt.set(language, now);
+
+    io.to(roomId).emit('subtitle_partial', {
+      ...segment,
+      translations: { [language]: text }
+    });
+  };
+};
+
+/**
+ * Transcribes a finished utterance, stores it as a subtitle message and
+ * translates it for everyone in the room. The transcript and translations are
+ * pushed as `subtitle_partial` events while they stream in, then replaced by a
+ * `subtitle_final` event with the same segment id.
+ */
+const handleUtterance = async (io, speaker, { roomId, audio, format, durationMs, startedAt, endedAt }) => {
+  const room = await Room.findOne({ roomId }).select('_id settings.enableSubtitles');
+  if (!room || room.settings?.enableSubtitles === false) return;
+
+  const preferredLanguage = speaker.preferences?.language || 'en';
+  const transcription = await transcribeAudio(audio, format, { language: preferredLanguage });
+  // Empty when every segment was silence
+  if (!transcription?.text?.trim()) return;
+
+  const sourceLanguage = LANGUAGE_CODES[transcription.language] ? transcription.language : preferredLanguage;
+  const text = filterProfanity(transcription.text.trim(), sourceLanguage).text;
+  const segment = {
+    segmentId: crypto.randomUUID(),
+    speakerId: speaker._id.toString(),
+    speakerName: speaker.username,
+    text,
+    language: sourceLanguage,
+    degraded: Boolean(transcription.degraded),
+    startedAt,
+    endedAt
+  };
+
+  // Show the transcript right away, translations follow
+  io.to(roomId).emit('subtitle_partial', { ...segment, translations: {} });
+
+  const subtitle = await Message.create({
+    room: room._id,
+    sender: speaker._id,
+    type: 'subtitle',
+    content: {
+      original: { text, language: sourceLanguage }
+    },
+    metadata: {
+      timestamp: startedAt // When the speaker started, for transcript timing
+    },
+    audioData: {
+      duration: durationMs / 1000,
+      format,
+      size: audio.length,
+      transcription: {
+        text,
+        language: sourceLanguage,
+        confidence: transcription.confidence,
+        degraded: transcription.degraded,
+        segments: (transcription.segments || []).map(({ start, end, text: segmentText, confidence }) => ({
+          start, end, text: filterProfanity(segmentText, sourceLanguage).text, confidence
+        }))
+      }
+    }
+  });
+
+  const recipients = await getRoomConnections(io, roomId);
+  const translationCount = await translateForRecipients(subtitle, recipients, {
+    onPartial: createPartialEmitter(io, roomId, segment)
+  });
+  await recordRoomActivity(room._id, recipients, sourceLanguage, translationCount);
+
+  io.to(roomId).emit('subtitle_final', {
+    ...segment,
+    messageId: subtitle._id.toString(),
+    translations: Object.fromEntries(
+      subtitle.content.translations.map(t => [t.language, t.text])
+    ),
+    // Captions that came from fallbacks rather than real speech-to-text / translation
+    degradedTranslations: subtitle.content.translations
+      .filter(t => t.degraded)
+      .map(t => t.language),
+    timestamp: subtitle.createdAt
+  });
+
+  await deliverDubbedAudio(io, segment, subtitle, recipients);
+};
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+
+const originalUpdateOne = Room.collection.updateOne;
+const writes = [];
+
+before(() => {
+  // No database in tests: record what save() would write instead
+  mongoose.set('bufferCommands', false);
+  Room.collection.updateOne = async (...args) => {
+    writes.push(args);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1 };
+  };
+});
+
+after(() => {
+  Room.collection.updateOne = originalUpdateOne;
+});
+
+const legacyRoom = (password) => Room.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  roomId: 'LEGACY01',
+  name: 'Legacy room',
+  host: new mongoose.Types.ObjectId(),
+  settings: { isPrivate: true, password },
+  participants: []
+});
+
+test('a plaintext password is hashed the first time it matches', async () => {
+  const room = legacyRoom('open sesame');
+  writes.length = 0;
+
+  assert.equal(await room.comparePassword('open sesame'), true);
+  assert.match(room.settings.password, /^\$2[aby]\$/);
+  assert.equal(writes.length, 1);
+  assert.equal(writes[0][1].$set['settings.password'], room.settings.password);
+
+  // The hash still accepts the password and nothing is hashed twice
+  assert.equal(await room.comparePassword('open sesame'), true);
+  assert.equal(writes.length, 1);
+});
+
+test('a wrong password leaves a plaintext password alone', async () => {
+  const room = legacyRoom('open sesame');
+  writes.length = 0;
+
+  assert.equal(await room.comparePassword('guess'), false);
+  assert.equal(room.settings.password, 'open sesame');
+  assert.equal(writes.length, 0);
+});
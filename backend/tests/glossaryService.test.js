@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  matchGlossaryTerms,
+  protectTerms,
+  restoreTerms,
+  buildGlossaryInstructions
+} from '../services/glossaryService.js';
+
+const glossary = [
+  { term: 'Acme Cloud', doNotTranslate: true, translations: [] },
+  { term: 'heart rate', translations: [{ language: 'es', text: 'frecuencia cardíaca' }] },
+  { term: 'heart rate monitor', translations: [{ language: 'es', text: 'pulsómetro' }] },
+  { term: 'NASA', caseSensitive: true, doNotTranslate: true, translations: [] },
+  { term: 'ward', translations: [{ language: 'fr', text: 'service' }] }
+];
+
+test('matchGlossaryTerms returns terms in the text, longest first', () => {
+  const terms = matchGlossaryTerms('Check the heart rate monitor in Acme Cloud', glossary, 'es');
+  assert.deepEqual(terms.map(t => t.term), ['heart rate monitor', 'Acme Cloud', 'heart rate']);
+});
+
+test('matchGlossaryTerms skips terms with nothing to force for the target language', () => {
+  assert.deepEqual(matchGlossaryTerms('Go to the ward', glossary, 'es'), []);
+});
+
+test('matchGlossaryTerms matches whole words and respects caseSensitive', () => {
+  assert.deepEqual(matchGlossaryTerms('The stewards met nasa', glossary, 'fr'), []);
+  assert.deepEqual(matchGlossaryTerms('NASA called', glossary, 'fr').map(t => t.term), ['NASA']);
+});
+
+test('protectTerms swaps every occurrence for a numbered placeholder', () => {
+  const terms = matchGlossaryTerms('acme cloud and Acme Cloud', glossary, 'de');
+  const { text, placeholders } = protectTerms('acme cloud and Acme Cloud', terms, 'de');
+
+  assert.equal(text, '__GL0__ and __GL1__');
+  assert.deepEqual(placeholders, [
+    { token: '__GL0__', replacement: 'Acme Cloud' },
+    { token: '__GL1__', replacement: 'Acme Cloud' }
+  ]);
+});
+
+test('protectTerms protects the longer term before the shorter one it contains', () => {
+  const source = 'The heart rate monitor shows the heart rate';
+  const { text, placeholders } = protectTerms(source, matchGlossaryTerms(source, glossary, 'es'), 'es');
+
+  assert.equal(text, 'The __GL0__ shows the __GL1__');
+  assert.deepEqual(placeholders.map(p => p.replacement), ['pulsómetro', 'frecuencia cardíaca']);
+});
+
+test('restoreTerms puts the forced text back', () => {
+  const placeholders = [{ token: '__GL0__', replacement: 'pulsómetro' }];
+  assert.equal(restoreTerms('El __GL0__ funciona', placeholders), 'El pulsómetro funciona');
+});
+
+test('restoreTerms recovers placeholders the engine mangled', () => {
+  const placeholders = [
+    { token: '__GL0__', replacement: 'Acme Cloud' },
+    { token: '__GL1__', replacement: 'pulsómetro' }
+  ];
+  assert.equal(restoreTerms('__ GL0 _ y _gl 1__', placeholders), 'Acme Cloud y pulsómetro');
+});
+
+test('restoreTerms leaves unknown placeholders and plain text alone', () => {
+  const placeholders = [{ token: '__GL0__', replacement: 'Acme Cloud' }];
+  assert.equal(restoreTerms('__GL7__ stays', placeholders), '__GL7__ stays');
+  assert.equal(restoreTerms('__GL0__ stays', []), '__GL0__ stays');
+});
+
+test('buildGlossaryInstructions lists terms to keep and terms to force', () => {
+  const terms = matchGlossaryTerms('Acme Cloud has a heart rate monitor', glossary, 'es');
+  assert.equal(
+    buildGlossaryInstructions(terms, 'es'),
+    'Follow this glossary when translating into Spanish:\n'
+      + '- "heart rate monitor": always translate as "pulsómetro"\n'
+      + '- "Acme Cloud": keep exactly as written, do not translate\n'
+      + '- "heart rate": always translate as "frecuencia cardíaca"'
+  );
+});
+
+test('buildGlossaryInstructions is empty without terms', () => {
+  assert.equal(buildGlossaryInstructions([], 'es'), '');
+});
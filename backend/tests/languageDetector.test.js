@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, detectLanguageCandidates } from '../services/languageDetector.js';
+
+test('short English phrases are detected as English', () => {
+  ['No problem', 'a doctor', 'No, I am not a doctor', 'No idea'].forEach(text => {
+    assert.equal(detectLanguage(text), 'en', text);
+  });
+});
+
+test('common phrases are detected in their own language', () => {
+  const samples = {
+    es: '¿Dónde está la estación de tren?',
+    fr: 'Je ne sais pas encore',
+    de: 'Ich weiß nicht, wann er kommt',
+    it: 'Non lo so, forse domani',
+    pt: 'Não sei, talvez amanhã',
+    ru: 'Я не знаю, где он',
+    hi: 'मुझे नहीं पता',
+    ta: 'எனக்குத் தெரியாது',
+    ar: 'لا أعرف أين هو',
+    ja: 'わかりません',
+    ko: '모르겠어요',
+    zh: '我不知道他在哪里'
+  };
+  Object.entries(samples).forEach(([language, text]) => {
+    assert.equal(detectLanguage(text), language, text);
+  });
+});
+
+test('text too short to tell falls back', () => {
+  assert.equal(detectLanguage('a', 'de'), 'de');
+  assert.deepEqual(detectLanguageCandidates('42'), []);
+});
+
+test('candidate confidences add up to 1', () => {
+  const candidates = detectLanguageCandidates('Good morning, how are you?');
+  assert.equal(candidates[0].language, 'en');
+  assert.ok(Math.abs(candidates.reduce((sum, c) => sum + c.confidence, 0) - 1) < 1e-9);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkRoomAdmission } from '../services/roomAdmission.js';
+
+let nextRoom = 0;
+
+const room = ({ isPrivate = true, password, activeParticipantsCount = 1, maxParticipants = 10 } = {}) => ({
+  roomId: `ROOM${nextRoom++}`,
+  status: 'active',
+  host: 'host',
+  participants: [],
+  activeParticipantsCount,
+  settings: { isPrivate, password, maxParticipants },
+  isBanned: () => false,
+  comparePassword: async (candidate) => candidate === password
+});
+
+test('a private room without a stored password needs none', async () => {
+  assert.equal(await checkRoomAdmission(room(), 'user', { ip: '10.0.0.1' }), null);
+  assert.equal(await checkRoomAdmission(room({ password: '' }), 'user', { ip: '10.0.0.1' }), null);
+});
+
+test('a private room with a password asks for it and checks it', async () => {
+  const locked = room({ password: 'secret' });
+
+  assert.equal((await checkRoomAdmission(locked, 'user', { ip: '10.0.0.2' })).status, 401);
+  assert.equal((await checkRoomAdmission(locked, 'user', { password: 'nope', ip: '10.0.0.2' })).error, 'Invalid password');
+  assert.equal(await checkRoomAdmission(locked, 'user', { password: 'secret', ip: '10.0.0.2' }), null);
+});
+
+test('parallel wrong guesses are limited before the password is compared', async () => {
+  const locked = room({ password: 'secret' });
+  let compares = 0;
+  const compare = locked.comparePassword;
+  locked.comparePassword = (candidate) => { compares++; return compare(candidate); };
+
+  const results = await Promise.all(Array.from({ length: 10 }, () => (
+    checkRoomAdmission(locked, 'guesser', { password: 'wrong', ip: '10.0.0.3' })
+  )));
+
+  assert.equal(compares, 5);
+  assert.equal(results.filter(r => r.status === 429).length, 5);
+});
+
+test('a full room turns new people away', async () => {
+  const full = room({ isPrivate: false, activeParticipantsCount: 2, maxParticipants: 2 });
+  assert.equal((await checkRoomAdmission(full, 'user')).error, 'Room full');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTranscriptEntries, TRANSCRIPT_FORMATS } from '../services/transcriptService.js';
+
+const origin = new Date('2026-01-01T10:00:00Z');
+
+const message = ({ id, seconds, type = 'text', text, language = 'en', translations = [], audioData }) => ({
+  _id: { toString: () => id },
+  type,
+  sender: { username: 'ana' },
+  content: { original: { text, language } },
+  metadata: { timestamp: new Date(origin.getTime() + seconds * 1000) },
+  audioData,
+  getTranslation: (target) => translations.find(t => t.language === target) || null
+});
+
+const messages = [
+  message({ id: 'm1', seconds: 0, text: 'Hello everyone', translations: [{ language: 'es', text: 'Hola a todos' }] }),
+  message({
+    id: 'm2',
+    seconds: 5,
+    type: 'subtitle',
+    text: 'This is a mock transcription for development purposes.',
+    translations: [{ language: 'es', text: '[Spanish translation of: mock]', degraded: true }],
+    audioData: { duration: 3, transcription: { degraded: true } }
+  }),
+  message({
+    id: 'm3',
+    seconds: 10,
+    type: 'subtitle',
+    text: 'Shall we start?',
+    translations: [{ language: 'es', text: '[Spanish translation of: Shall we start?]', degraded: true }],
+    audioData: { duration: 2, transcription: { degraded: false } }
+  })
+];
+
+test('subtitles from the mock transcription are left out', () => {
+  const entries = buildTranscriptEntries(messages, null, origin);
+  assert.deepEqual(entries.map(e => e.id), ['m1', 'm3']);
+});
+
+test('mock subtitles are missing from every export format', () => {
+  const entries = buildTranscriptEntries(messages, 'es', origin);
+  const room = { name: 'Standup', roomId: 'abc123' };
+
+  Object.entries(TRANSCRIPT_FORMATS).forEach(([format, { render }]) => {
+    const body = render({ room, language: 'es', origin, entries });
+    assert.ok(!body.includes('mock transcription'), format);
+    assert.ok(body.includes('Shall we start?'), format);
+  });
+});
+
+test('real translations are used and fallback translations are not', () => {
+  const [hello, subtitle] = buildTranscriptEntries(messages, 'es', origin);
+
+  assert.equal(hello.text, 'Hola a todos');
+  assert.equal(hello.language, 'es');
+  assert.equal(subtitle.text, 'Shall we start?');
+  assert.equal(subtitle.language, 'en');
+  assert.equal(subtitle.end - subtitle.start, 2);
+});
+
+test('SRT and VTT cues stay on one line and VTT escapes the cue arrow', () => {
+  const entries = buildTranscriptEntries([
+    message({ id: 'm4', seconds: 0, text: 'First line\n\nsecond --> third\r\nfourth' })
+  ], null, origin);
+  const room = { name: 'Standup', roomId: 'abc123' };
+
+  const srt = TRANSCRIPT_FORMATS.srt.render({ room, language: null, origin, entries });
+  assert.equal(srt.split('\n')[2], 'ana: First line second --> third fourth');
+
+  const vtt = TRANSCRIPT_FORMATS.vtt.render({ room, language: null, origin, entries });
+  const [, cue] = vtt.trim().split('\n\n');
+  assert.deepEqual(cue.split('\n').slice(1), ['<v ana>First line second --&gt; third fourth']);
+});
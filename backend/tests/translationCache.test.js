@@ -0,0 +1,30 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { normalizeText, getCachedTranslation, setCachedTranslation } from '../services/translationCache.js';
+
+before(() => {
+  // No database in tests: only the in-memory level is exercised
+  mongoose.set('bufferCommands', false);
+});
+
+const entry = (text) => ({ text, sourceLanguage: 'en', targetLanguage: 'es', provider: 'test' });
+
+test('normalizeText collapses whitespace and Unicode forms but keeps case', () => {
+  assert.equal(normalizeText('  The   US\tteam \n'), 'The US team');
+  assert.equal(normalizeText('Cafe\u0301'), 'Caf\u00e9');
+  assert.equal(normalizeText('Apple'), 'Apple');
+});
+
+test('texts differing only in case get their own cache entries', async () => {
+  await setCachedTranslation(entry('US'), { text: 'EE. UU.', confidence: 0.9, sourceLanguage: 'en' });
+
+  assert.equal((await getCachedTranslation(entry('US'))).text, 'EE. UU.');
+  assert.equal(await getCachedTranslation(entry('us')), null);
+});
+
+test('texts differing only in whitespace share a cache entry', async () => {
+  await setCachedTranslation(entry('Good morning'), { text: 'Buenos días', confidence: 0.9, sourceLanguage: 'en' });
+
+  assert.equal((await getCachedTranslation(entry('  Good   morning '))).text, 'Buenos días');
+});
@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { translateText } from '../services/translationService.js';
+import { registerProvider } from '../services/translationProviders/index.js';
+
+const glossary = [
+  { term: 'Acme Cloud', doNotTranslate: true, translations: [] },
+  { term: 'heart rate monitor', translations: [{ language: 'es', text: 'pulsómetro' }] }
+];
+
+const received = [];
+
+// Mangles placeholders the way real engines sometimes do
+const placeholderProvider = {
+  name: 'test-placeholders',
+  glossaryMode: 'placeholders',
+  isConfigured: () => true,
+  translate: async (text, targetLanguage, sourceLanguage, options) => {
+    received.push({ text, options });
+    return {
+      text: `ES: ${text.replace(/__GL(\d+)__/g, '__ GL$1 _')}`,
+      confidence: 0.9,
+      sourceLanguage,
+      targetLanguage
+    };
+  },
+  supportedLanguages: async () => ['en', 'es'],
+  health: async () => ({ ok: true, latencyMs: 0 })
+};
+
+const instructionProvider = {
+  ...placeholderProvider,
+  name: 'test-instructions',
+  glossaryMode: 'instructions'
+};
+
+const originalProviders = process.env.TRANSLATION_PROVIDERS;
+
+before(() => {
+  // No database in tests: cache lookups fail fast and fall through to the provider
+  mongoose.set('bufferCommands', false);
+  [placeholderProvider, instructionProvider].forEach(registerProvider);
+});
+
+after(() => {
+  if (originalProviders === undefined) delete process.env.TRANSLATION_PROVIDERS;
+  else process.env.TRANSLATION_PROVIDERS = originalProviders;
+});
+
+const useProvider = (name) => {
+  process.env.TRANSLATION_PROVIDERS = name;
+  received.length = 0;
+};
+
+test('placeholder providers never see glossary terms and the forced text is restored', async () => {
+  useProvider('test-placeholders');
+  const result = await translateText('Open Acme Cloud on the heart rate monitor', 'es', 'en', { glossary });
+
+  assert.equal(received[0].text, 'Open __GL1__ on the __GL0__');
+  assert.equal(received[0].options.glossaryInstructions, undefined);
+  assert.equal(result.text, 'ES: Open Acme Cloud on the pulsómetro');
+  assert.equal(result.provider, 'test-placeholders');
+  assert.equal(result.degraded, false);
+});
+
+test('instruction providers get the original text and the glossary as instructions', async () => {
+  useProvider('test-instructions');
+  const result = await translateText('Acme Cloud keeps the heart rate monitor online', 'es', 'en', { glossary });
+
+  assert.equal(received[0].text, 'Acme Cloud keeps the heart rate monitor online');
+  assert.equal(
+    received[0].options.glossaryInstructions,
+    'Follow this glossary when translating into Spanish:\n'
+      + '- "heart rate monitor": always translate as "pulsómetro"\n'
+      + '- "Acme Cloud": keep exactly as written, do not translate'
+  );
+  assert.equal(result.text, 'ES: Acme Cloud keeps the heart rate monitor online');
+});
+
+test('text without glossary terms is translated as is', async () => {
+  useProvider('test-instructions');
+  await translateText('Nothing to force here', 'es', 'en', { glossary });
+
+  assert.equal(received[0].text, 'Nothing to force here');
+  assert.equal(received[0].options.glossaryInstructions, undefined);
+});
+
+test('the mock fallback applies the glossary too', async () => {
+  useProvider('mock');
+  const result = await translateText('The heart rate monitor is down', 'es', 'en', { glossary });
+
+  assert.equal(result.text, '[Spanish translation of: The pulsómetro is down]');
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.degraded, true);
+});
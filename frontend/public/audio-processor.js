@@ -0,0 +1,144 @@
+/**
+ * Audio Worklet that converts microphone input into 16 kHz mono 16-bit PCM
+ * and posts it to the main thread in ~100 ms chunks for live subtitles.
+ *
+ * A small energy / zero-crossing voice activity detector runs on every chunk.
+ * Audio is only posted while the user is speaking, bracketed by
+ * `{ type: 'vad', speaking: true | false }` messages.
+ */
+
+const TARGET_SAMPLE_RATE = 16000;
+const CHUNK_SAMPLES = TARGET_SAMPLE_RATE / 10; // 100 ms
+
+// Voice activity detection tuning (in chunks of 100 ms)
+const SPEECH_START_CHUNKS = 2; // consecutive voiced chunks before speech starts
+const SPEECH_HANGOVER_CHUNKS = 6; // silent chunks before speech ends
+const PRE_ROLL_CHUNKS = 2; // chunks sent ahead of the start so first syllables survive
+const MIN_ENERGY = 0.008; // RMS floor, full scale = 1
+const NOISE_MULTIPLIER = 3; // voiced chunks must be this much louder than the noise floor
+const MAX_ZERO_CROSSING_RATE = 0.35; // above this the chunk is hiss rather than voice
+
+class AudioProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.ratio = sampleRate / TARGET_SAMPLE_RATE;
+    this.position = 0; // fractional read position carried across render quanta
+    this.chunk = new Int16Array(CHUNK_SAMPLES);
+    this.chunkLength = 0;
+
+    this.noiseFloor = MIN_ENERGY;
+    this.speaking = false;
+    this.voicedRun = 0;
+    this.silentRun = 0;
+    this.preRoll = [];
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0 || !input[0]) {
+      return true;
+    }
+
+    const mono = this.mixDown(input);
+
+    // Average every `ratio` input samples into one output sample
+    while (this.position + this.ratio <= mono.length) {
+      const start = Math.max(0, Math.floor(this.position));
+      const end = Math.floor(this.position + this.ratio);
+      let sum = 0;
+      for (let i = start; i < end; i++) {
+        sum += mono[i];
+      }
+      this.push(sum / Math.max(1, end - start));
+      this.position += this.ratio;
+    }
+    this.position -= mono.length;
+
+    return true;
+  }
+
+  mixDown(channels) {
+    if (channels.length === 1) {
+      return channels[0];
+    }
+    const mono = new Float32Array(channels[0].length);
+    for (const channel of channels) {
+      for (let i = 0; i < channel.length; i++) {
+        mono[i] += channel[i] / channels.length;
+      }
+    }
+    return mono;
+  }
+
+  push(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    this.chunk[this.chunkLength++] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+
+    if (this.chunkLength === CHUNK_SAMPLES) {
+      this.handleChunk(this.chunk);
+      this.chunk = new Int16Array(CHUNK_SAMPLES);
+      this.chunkLength = 0;
+    }
+  }
+
+  handleChunk(chunk) {
+    const voiced = this.isVoiced(chunk);
+
+    if (this.speaking) {
+      this.silentRun = voiced ? 0 : this.silentRun + 1;
+      this.postAudio(chunk);
+
+      if (this.silentRun >= SPEECH_HANGOVER_CHUNKS) {
+        this.speaking = false;
+        this.voicedRun = 0;
+        this.port.postMessage({ type: 'vad', speaking: false });
+      }
+      return;
+    }
+
+    this.voicedRun = voiced ? this.voicedRun + 1 : 0;
+    this.preRoll.push(chunk);
+    if (this.preRoll.length > PRE_ROLL_CHUNKS + SPEECH_START_CHUNKS) {
+      this.preRoll.shift();
+    }
+
+    if (this.voicedRun >= SPEECH_START_CHUNKS) {
+      this.speaking = true;
+      this.silentRun = 0;
+      this.port.postMessage({ type: 'vad', speaking: true });
+      this.preRoll.forEach(buffered => this.postAudio(buffered));
+      this.preRoll = [];
+    }
+  }
+
+  isVoiced(chunk) {
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const value = chunk[i] / 0x8000;
+      energy += value * value;
+      if (i > 0 && (chunk[i] >= 0) !== (chunk[i - 1] >= 0)) {
+        crossings++;
+      }
+    }
+    const rms = Math.sqrt(energy / chunk.length);
+    const zeroCrossingRate = crossings / chunk.length;
+
+    const voiced = rms > Math.max(MIN_ENERGY, this.noiseFloor * NOISE_MULTIPLIER)
+      && zeroCrossingRate < MAX_ZERO_CROSSING_RATE;
+
+    // Track background noise slowly while nobody is talking
+    if (!voiced && !this.speaking) {
+      this.noiseFloor = this.noiseFloor * 0.95 + rms * 0.05;
+    }
+
+    return voiced;
+  }
+
+  postAudio(chunk) {
+    const buffer = chunk.buffer;
+    this.port.postMessage({ type: 'audio', samples: buffer, sampleRate: TARGET_SAMPLE_RATE }, [buffer]);
+  }
+}
+
+registerProcessor('audio-processor', AudioProcessor);
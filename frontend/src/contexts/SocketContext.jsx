@@ -1,16 +1,56 @@
 import React, { createContext, useContext, useEffect, useReducer, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
+import axios from 'axios';
 import { useAuth } from './AuthContext';
 
 const SocketContext = createContext();
 
+// Chat history is fetched over REST so late joiners and reconnects see what they missed
+const fetchMessageHistory = async (roomId, before) => {
+  const response = await axios.get(`/rooms/${roomId}/messages`, {
+    params: { type: 'text,attachment', before }
+  });
+  return response.data;
+};
+
 const socketReducer = (state, action) => {
   // ... (reducer logic is correct and remains the same)
   switch (action.type) {
     case 'SET_CONNECTED':
       return { ...state, connected: action.payload };
     case 'SET_ROOM':
-      return { ...state, currentRoom: action.payload };
+      return { ...state, currentRoom: action.payload, removedFromRoom: null, lobbyStatus: null };
+    case 'SET_LOBBY_STATUS':
+      return { ...state, lobbyStatus: action.payload };
+    case 'ADD_LOBBY_REQUEST':
+      if (!state.currentRoom || state.currentRoom.roomId !== action.payload.roomId) return state;
+      return {
+        ...state,
+        lobbyRequests: [
+          ...state.lobbyRequests.filter(request => request.user._id !== action.payload.user._id),
+          action.payload
+        ]
+      };
+    case 'REMOVE_LOBBY_REQUEST':
+      return { ...state, lobbyRequests: state.lobbyRequests.filter(request => request.user._id !== action.payload) };
+    case 'SET_ROOM_ROLES':
+      if (!state.currentRoom || state.currentRoom.roomId !== action.payload.roomId) return state;
+      return {
+        ...state,
+        currentRoom: { ...state.currentRoom, host: action.payload.host ?? state.currentRoom.host },
+        roomRoles: action.payload.roles
+      };
+    case 'SET_REMOVED_FROM_ROOM':
+      return { ...state, removedFromRoom: action.payload };
+    case 'UPDATE_ROOM_SETTINGS':
+      if (!state.currentRoom || state.currentRoom.roomId !== action.payload.roomId) return state;
+      return {
+        ...state,
+        currentRoom: {
+          ...state.currentRoom,
+          settings: { ...state.currentRoom.settings, ...action.payload.settings }
+        }
+      };
     case 'SET_PARTICIPANTS':
       return { ...state, participants: action.payload };
     case 'ADD_PARTICIPANT':
@@ -18,18 +58,93 @@ const socketReducer = (state, action) => {
         return state;
       }
       return { ...state, participants: [...state.participants, action.payload] };
-    case 'REMOVE_PARTICIPANT':
-      return { ...state, participants: state.participants.filter(p => p._id !== action.payload) };
+    case 'REMOVE_PARTICIPANT': {
+      const { [action.payload]: _removed, ...speakingUsers } = state.speakingUsers;
+      const { [action.payload]: _wasTyping, ...typingUsers } = state.typingUsers;
+      return {
+        ...state,
+        participants: state.participants.filter(p => p._id !== action.payload),
+        speakingUsers,
+        typingUsers
+      };
+    }
+    case 'SET_TYPING': {
+      const { roomId, userId, username, typing, recipientId } = action.payload;
+      // Private typing events reach every socket of the user, whichever call it is in
+      if (state.currentRoom && roomId !== state.currentRoom.roomId) return state;
+      const { [userId]: _previous, ...typingUsers } = state.typingUsers;
+      return {
+        ...state,
+        typingUsers: typing ? { ...typingUsers, [userId]: { username, recipientId } } : typingUsers
+      };
+    }
+    case 'MARK_MESSAGES_READ': {
+      const { userId, messageIds, readAt } = action.payload;
+      const ids = new Set(messageIds);
+      return {
+        ...state,
+        messages: state.messages.map(m => {
+          if (!ids.has(m._id) || m.readBy?.some(r => r.user === userId)) return m;
+          return { ...m, readBy: [...(m.readBy || []), { user: userId, readAt }] };
+        })
+      };
+    }
     case 'ADD_MESSAGE':
+      // Private messages arrive on the user's own socket room, which spans every call
+      if (state.currentRoom && action.payload.room !== state.currentRoom._id) {
+        return state;
+      }
+      if (state.messages.some(m => m._id === action.payload._id)) {
+        return state;
+      }
       return { ...state, messages: [...state.messages, action.payload] };
-    case 'ADD_SUBTITLE':
-      return { ...state, subtitles: [...state.subtitles.slice(-10), action.payload] };
+    case 'UPDATE_MESSAGE':
+      // Edits, deletions and reactions replace the message in place
+      return {
+        ...state,
+        messages: state.messages.map(m => m._id === action.payload._id ? action.payload : m)
+      };
+    case 'MERGE_MESSAGE_HISTORY': {
+      // History pages can overlap messages that already arrived live
+      const known = new Set(state.messages.map(m => m._id));
+      const earlier = action.payload.messages.filter(m => !known.has(m._id));
+      return {
+        ...state,
+        messages: [...earlier, ...state.messages]
+          .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)),
+        messageHistoryCursor: action.payload.nextCursor
+      };
+    }
+    case 'UPSERT_SUBTITLE': {
+      // Partial subtitles are replaced in place until the final one arrives
+      const existing = state.subtitles.find(s => s.segmentId === action.payload.segmentId);
+      if (!existing) {
+        return { ...state, subtitles: [...state.subtitles.slice(-10), action.payload] };
+      }
+      if (existing.final && !action.payload.final) return state;
+      return {
+        ...state,
+        subtitles: state.subtitles.map(s => s.segmentId === action.payload.segmentId
+          ? { ...s, ...action.payload, translations: { ...s.translations, ...action.payload.translations } }
+          : s)
+      };
+    }
+    case 'ADD_DUBBED_AUDIO':
+      // Drop a backlog rather than play translations of things said long ago
+      return { ...state, dubbedAudio: [...state.dubbedAudio.slice(-4), action.payload] };
+    case 'REMOVE_DUBBED_AUDIO':
+      return { ...state, dubbedAudio: state.dubbedAudio.filter(item => item !== action.payload) };
+    case 'SET_SPEAKING':
+      return {
+        ...state,
+        speakingUsers: { ...state.speakingUsers, [action.payload.userId]: action.payload.speaking }
+      };
     case 'SET_ERROR':
       return { ...state, error: action.payload };
     case 'CLEAR_ERROR':
       return { ...state, error: null };
     case 'CLEAR_ROOM_STATE':
-        return { ...state, currentRoom: null, participants: [], messages: [], subtitles: [] };
+        return { ...state, currentRoom: null, roomRoles: {}, lobbyStatus: null, lobbyRequests: [], participants: [], messages: [], messageHistoryCursor: null, subtitles: [], speakingUsers: {}, typingUsers: {}, dubbedAudio: [] };
     case 'UPDATE_PARTICIPANT_PREFERENCES':
       return {
         ...state,
@@ -47,9 +162,17 @@ const socketReducer = (state, action) => {
 const initialState = {
   connected: false,
   currentRoom: null,
+  roomRoles: {}, // userId -> role in the current room
   participants: [],
   messages: [],
+  messageHistoryCursor: null, // Cursor for the next older page, null when there is none
   subtitles: [],
+  dubbedAudio: [],
+  speakingUsers: {}, // userId -> true while their microphone detects speech
+  typingUsers: {}, // userId -> { username, recipientId } while they type in chat
+  removedFromRoom: null, // { roomId, by, banned } after the host removed us from a call
+  lobbyStatus: null, // { roomId, status: 'waiting' | 'denied', by } until a host lets us in
+  lobbyRequests: [], // { roomId, user, requestedAt } for hosts and co-hosts to admit or deny
   error: null
 };
 
@@ -111,7 +234,12 @@ export const SocketProvider = ({ children }) => {
       
       newSocket.on('room_joined', (data) => {
         dispatch({ type: 'SET_ROOM', payload: data.room });
+        dispatch({ type: 'SET_ROOM_ROLES', payload: { roomId: data.room.roomId, roles: data.roles || {} } });
         dispatch({ type: 'SET_PARTICIPANTS', payload: data.participants || [] });
+
+        fetchMessageHistory(data.room.roomId)
+          .then(page => dispatch({ type: 'MERGE_MESSAGE_HISTORY', payload: page }))
+          .catch(error => console.error('Failed to load message history:', error));
       });
       
       newSocket.on('error', (data) => {
@@ -124,7 +252,24 @@ export const SocketProvider = ({ children }) => {
       
       // Add subtitle and message handlers
       newSocket.on('new_message', (data) => dispatch({ type: 'ADD_MESSAGE', payload: data.message }));
-      newSocket.on('new_subtitle', (data) => dispatch({ type: 'ADD_SUBTITLE', payload: data }));
+      newSocket.on('message_updated', (data) => dispatch({ type: 'UPDATE_MESSAGE', payload: data.message }));
+      newSocket.on('subtitle_partial', (data) => dispatch({ type: 'UPSERT_SUBTITLE', payload: { ...data, final: false } }));
+      newSocket.on('subtitle_final', (data) => dispatch({ type: 'UPSERT_SUBTITLE', payload: { ...data, final: true } }));
+      newSocket.on('dubbed_audio', (data) => dispatch({ type: 'ADD_DUBBED_AUDIO', payload: data }));
+      newSocket.on('speaking_state', (data) => dispatch({ type: 'SET_SPEAKING', payload: data }));
+      newSocket.on('typing_state', (data) => dispatch({ type: 'SET_TYPING', payload: data }));
+      newSocket.on('messages_read', (data) => dispatch({ type: 'MARK_MESSAGES_READ', payload: data }));
+      // WebRTCContext closes the peer connections; here we drop the room itself
+      newSocket.on('removed_from_room', (data) => {
+        dispatch({ type: 'CLEAR_ROOM_STATE' });
+        dispatch({ type: 'SET_REMOVED_FROM_ROOM', payload: data });
+      });
+      newSocket.on('room_settings_updated', (data) => dispatch({ type: 'UPDATE_ROOM_SETTINGS', payload: data }));
+      newSocket.on('roles_updated', (data) => dispatch({ type: 'SET_ROOM_ROLES', payload: data }));
+      newSocket.on('lobby_waiting', (data) => dispatch({ type: 'SET_LOBBY_STATUS', payload: { roomId: data.roomId, status: 'waiting' } }));
+      newSocket.on('lobby_denied', (data) => dispatch({ type: 'SET_LOBBY_STATUS', payload: { roomId: data.roomId, status: 'denied', by: data.by } }));
+      newSocket.on('lobby_request', (data) => dispatch({ type: 'ADD_LOBBY_REQUEST', payload: data }));
+      newSocket.on('lobby_update', (data) => dispatch({ type: 'REMOVE_LOBBY_REQUEST', payload: data.userId }));
       
       // Handle preference updates from other participants
       newSocket.on('user_preferences_updated', (data) => {
@@ -153,6 +298,7 @@ export const SocketProvider = ({ children }) => {
   // --- Functions to emit events to the server (memoized to prevent re-renders) ---
   const joinRoom = useCallback((roomId) => {
     if (socketRef.current?.connected) {
+      dispatch({ type: 'CLEAR_ERROR' });
       socketRef.current.emit('join_room', { roomId });
     }
   }, []);
@@ -164,17 +310,79 @@ export const SocketProvider = ({ children }) => {
     }
   }, []);
   
-  const sendMessage = useCallback((roomId, message) => {
+  // options: { replyTo } to answer in a thread, { recipientId } for a private message
+  const sendMessage = useCallback((roomId, message, options = {}) => {
       if (socketRef.current?.connected) {
-          socketRef.current.emit('send_message', { roomId, message });
+          socketRef.current.emit('send_message', { roomId, message, ...options });
       }
   }, []);
 
+  const editMessage = useCallback((roomId, messageId, text) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('edit_message', { roomId, messageId, text });
+    }
+  }, []);
+
+  const deleteMessage = useCallback((roomId, messageId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('delete_message', { roomId, messageId });
+    }
+  }, []);
+
+  // Host only: action is 'mute', 'stop_video', 'remove' or 'ban'
+  const sendHostAction = useCallback((roomId, action, targetUserId, reason) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(`host_${action}`, { roomId, targetUserId, reason });
+    }
+  }, []);
+
+  // Admit or deny one person waiting in the lobby, or everyone when userId is omitted
+  const respondToLobby = useCallback((roomId, admit, userId) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(admit ? 'lobby_admit' : 'lobby_deny', userId ? { roomId, userId } : { roomId, all: true });
+    }
+  }, []);
+
+  // Hosts and co-hosts: hides the message for everyone and records it in the moderation log
+  const moderateMessage = useCallback((roomId, messageId, reason) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('moderate_message', { roomId, messageId, reason });
+    }
+  }, []);
+
+  // Reacting with the emoji you already chose removes the reaction
+  const reactToMessage = useCallback((roomId, messageId, emoji) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit('react_message', { roomId, messageId, emoji });
+    }
+  }, []);
+
+  // The server throttles and expires typing state, so this can be called on every keystroke
+  const sendTypingState = useCallback((roomId, typing, recipientId = null) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(typing ? 'typing_start' : 'typing_stop', { roomId, recipientId });
+    }
+  }, []);
+
+  const markMessagesRead = useCallback((roomId, messageIds) => {
+    if (socketRef.current?.connected && messageIds.length > 0) {
+      socketRef.current.emit('message_read', { roomId, messageIds });
+    }
+  }, []);
+
   // --- FIX #1: CREATE THE sendAudioData FUNCTION ---
-  const sendAudioData = useCallback((roomId, audioBlob) => {
+  const sendAudioData = useCallback((roomId, audio) => {
     if (socketRef.current?.connected) {
         // This emits the 'audio_data' event that our backend is listening for.
-        socketRef.current.emit('audio_data', { roomId, audioBlob });
+        // `audio` is an ArrayBuffer of 16 kHz mono 16-bit PCM samples.
+        socketRef.current.emit('audio_data', { roomId, audio });
+    }
+  }, []);
+
+  // Voice activity boundaries from the local audio worklet
+  const sendSpeakingState = useCallback((roomId, speaking) => {
+    if (socketRef.current?.connected) {
+      socketRef.current.emit(speaking ? 'utterance_start' : 'utterance_end', { roomId });
     }
   }, []);
 
@@ -197,6 +405,20 @@ export const SocketProvider = ({ children }) => {
     }
   }, []);
 
+  const loadEarlierMessages = useCallback(async (roomId) => {
+    if (!state.messageHistoryCursor) return;
+    try {
+      const page = await fetchMessageHistory(roomId, state.messageHistoryCursor);
+      dispatch({ type: 'MERGE_MESSAGE_HISTORY', payload: page });
+    } catch (error) {
+      console.error('Failed to load earlier messages:', error);
+    }
+  }, [state.messageHistoryCursor]);
+
+  const removeDubbedAudio = useCallback((item) => {
+    dispatch({ type: 'REMOVE_DUBBED_AUDIO', payload: item });
+  }, []);
+
   // Broadcast user preference changes to room participants
   const broadcastPreferences = useCallback((roomId, preferences) => {
     if (socketRef.current?.connected) {
@@ -210,11 +432,22 @@ export const SocketProvider = ({ children }) => {
     joinRoom,
     leaveRoom,
     sendMessage,
+    editMessage,
+    deleteMessage,
+    reactToMessage,
+    moderateMessage,
+    sendHostAction,
+    respondToLobby,
+    sendTypingState,
+    markMessagesRead,
     sendAudioData, // --- FIX #2: ADD THE FUNCTION TO THE CONTEXT VALUE ---
+    sendSpeakingState,
     sendOffer,
     sendAnswer,
     sendIceCandidate,
-    broadcastPreferences
+    broadcastPreferences,
+    loadEarlierMessages,
+    removeDubbedAudio
   };
 
   return (
@@ -1,4 +1,4 @@
-import React, { createContext, useContext, useReducer, useRef, useEffect } from 'react';
+import React, { createContext, useContext, useReducer, useRef, useEffect, useCallback } from 'react';
 import { useSocket } from './SocketContext';
 import { useAuth } from './AuthContext';
 
@@ -34,6 +34,8 @@ const webrtcReducer = (state, action) => {
       return { ...state, audioEnabled: action.payload };
     case 'SET_SCREEN_SHARING':
       return { ...state, screenSharing: action.payload };
+    case 'SET_SPEAKING':
+      return { ...state, isSpeaking: action.payload };
     case 'SET_CONNECTION_STATE':
       return {
         ...state,
@@ -59,18 +61,42 @@ const initialState = {
   videoEnabled: true,
   audioEnabled: true,
   screenSharing: false,
+  isSpeaking: false,
   error: null
 };
 
 export const WebRTCProvider = ({ children }) => {
   const [state, dispatch] = useReducer(webrtcReducer, initialState);
   const { user } = useAuth();
-  const { socket, currentRoom, participants, sendOffer, sendAnswer, sendIceCandidate, sendAudioData } = useSocket();
+  const { socket, currentRoom, participants, sendOffer, sendAnswer, sendIceCandidate, sendAudioData, sendSpeakingState } = useSocket();
 
   const peerConnectionsRef = useRef({});
   const localStreamRef = useRef(null);
   const audioContextRef = useRef(null);
   const workletNodeRef = useRef(null);
+  // The worklet callback outlives renders, so it reads the latest values through refs
+  const currentRoomRef = useRef(null);
+  const audioEnabledRef = useRef(true);
+  const speakingRef = useRef(false);
+
+  useEffect(() => {
+    currentRoomRef.current = currentRoom;
+  }, [currentRoom]);
+
+  useEffect(() => {
+    audioEnabledRef.current = state.audioEnabled;
+  }, [state.audioEnabled]);
+
+  const setSpeaking = useCallback((speaking) => {
+    if (speakingRef.current === speaking) return;
+    speakingRef.current = speaking;
+    dispatch({ type: 'SET_SPEAKING', payload: speaking });
+
+    const room = currentRoomRef.current;
+    if (room) {
+      sendSpeakingState(room.roomId, speaking);
+    }
+  }, [sendSpeakingState]);
 
   // Main effect to initialize and clean up media and listeners
   useEffect(() => {
@@ -154,16 +180,47 @@ export const WebRTCProvider = ({ children }) => {
       }
     };
 
+    // Host controls: the host can turn our camera and microphone off (we can
+    // turn them back on) or take us out of the call
+    const isForCurrentRoom = ({ roomId }) => roomId === currentRoomRef.current?.roomId;
+
+    const handleForcedMute = (data) => {
+      if (!isForCurrentRoom(data)) return;
+      const audioTrack = localStreamRef.current?.getAudioTracks()[0];
+      if (audioTrack) audioTrack.enabled = false;
+      dispatch({ type: 'SET_AUDIO_ENABLED', payload: false });
+      setSpeaking(false);
+    };
+
+    const handleForcedStopVideo = (data) => {
+      if (!isForCurrentRoom(data)) return;
+      const videoTrack = localStreamRef.current?.getVideoTracks()[0];
+      if (videoTrack) videoTrack.enabled = false;
+      dispatch({ type: 'SET_VIDEO_ENABLED', payload: false });
+    };
+
+    const handleRemovedFromRoom = (data) => {
+      if (!isForCurrentRoom(data)) return;
+      setSpeaking(false);
+      Object.keys(peerConnectionsRef.current).forEach(closePeerConnection);
+    };
+
     socket.on('webrtc_offer', handleOffer);
     socket.on('webrtc_answer', handleAnswer);
     socket.on('webrtc_ice_candidate', handleIceCandidate);
+    socket.on('forced_mute', handleForcedMute);
+    socket.on('forced_stop_video', handleForcedStopVideo);
+    socket.on('removed_from_room', handleRemovedFromRoom);
 
     return () => {
       socket.off('webrtc_offer', handleOffer);
       socket.off('webrtc_answer', handleAnswer);
       socket.off('webrtc_ice_candidate', handleIceCandidate);
+      socket.off('forced_mute', handleForcedMute);
+      socket.off('forced_stop_video', handleForcedStopVideo);
+      socket.off('removed_from_room', handleRemovedFromRoom);
     };
-  }, [socket, currentRoom, sendAnswer]);
+  }, [socket, currentRoom, sendAnswer, setSpeaking]);
 
   // Handle participant changes to create/destroy peer connections
   useEffect(() => {
@@ -222,11 +279,16 @@ export const WebRTCProvider = ({ children }) => {
       workletNodeRef.current = workletNode;
 
       workletNode.port.onmessage = (event) => {
-        if (!state.audioEnabled || !currentRoom) return;
-        
-        const pcmData = event.data;
-        const audioBlob = new Blob([pcmData.buffer], { type: 'audio/webm' }); // Sending raw buffer
-        sendAudioData(currentRoom.roomId, audioBlob);
+        const room = currentRoomRef.current;
+        if (!audioEnabledRef.current || !room) return;
+
+        // 16 kHz mono 16-bit PCM and voice activity events produced by /audio-processor.js
+        const { type, samples, speaking } = event.data;
+        if (type === 'audio') {
+          sendAudioData(room.roomId, samples);
+        } else if (type === 'vad') {
+          setSpeaking(speaking);
+        }
       };
 
       source.connect(workletNode);
@@ -317,6 +379,10 @@ export const WebRTCProvider = ({ children }) => {
     if (audioTrack) {
       audioTrack.enabled = !state.audioEnabled;
       dispatch({ type: 'SET_AUDIO_ENABLED', payload: !state.audioEnabled });
+      // Muting mid-sentence closes the current utterance
+      if (state.audioEnabled) {
+        setSpeaking(false);
+      }
     }
   };
 
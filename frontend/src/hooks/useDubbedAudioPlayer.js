@@ -0,0 +1,58 @@
+import { useEffect, useRef } from 'react';
+
+// Volume of the original speaker while their dubbed translation plays
+const DUCKED_VOLUME = 0.15;
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+/**
+ * Plays dubbed (text-to-speech) translations one at a time, ducking the
+ * original speaker's remote audio while their translation plays.
+ * @param {Array} queue - `dubbed_audio` payloads, oldest first
+ * @param {Function} onPlayed - Called with an item once it finished or failed
+ * @param {Object} remoteVideoRefs - Ref holding userId -> <video> element
+ */
+export const useDubbedAudioPlayer = (queue, onPlayed, remoteVideoRefs) => {
+  const currentRef = useRef(null); // { item, audio, stop }
+
+  useEffect(() => {
+    const item = queue[0];
+    if (!item || currentRef.current?.item === item) return;
+
+    const url = URL.createObjectURL(
+      new Blob([item.audio], { type: MIME_TYPES[item.format] || `audio/${item.format}` })
+    );
+    const audio = new Audio(url);
+    const video = remoteVideoRefs.current[item.speakerId];
+    const originalVolume = video ? video.volume : 1;
+    if (video) video.volume = Math.min(originalVolume, DUCKED_VOLUME);
+
+    let finished = false;
+    const stop = () => {
+      if (finished) return false;
+      finished = true;
+      audio.pause();
+      if (video) video.volume = originalVolume;
+      URL.revokeObjectURL(url);
+      currentRef.current = null;
+      return true;
+    };
+    const finish = () => {
+      if (stop()) onPlayed(item);
+    };
+
+    currentRef.current = { item, audio, stop };
+    audio.onended = finish;
+    audio.onerror = finish;
+    audio.play().catch((error) => {
+      console.error('Dubbed audio playback failed:', error);
+      finish();
+    });
+  }, [queue, onPlayed, remoteVideoRefs]);
+
+  // Stop playback and restore the speaker's volume when leaving the call
+  useEffect(() => () => currentRef.current?.stop(), []);
+};
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import axios from 'axios';
+import { SUPPORTED_LANGUAGES } from '../utils/constants';
 
 const Dashboard = () => {
   const [rooms, setRooms] = useState([]);
@@ -10,6 +11,7 @@ const Dashboard = () => {
   const [showJoinRoom, setShowJoinRoom] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [transcriptTarget, setTranscriptTarget] = useState(null); // { roomId, name, messageId }
   
   const { user, logout, updatePreferences } = useAuth();
   const { connected } = useSocket();
@@ -184,6 +186,12 @@ const Dashboard = () => {
           <UserPreferences />
         </div>
 
+        {/* Message Search */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-8">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Search Meetings</h3>
+          <MessageSearch onResultSelect={setTranscriptTarget} />
+        </div>
+
         {/* Recent Rooms */}
         <div className="bg-white rounded-lg shadow-md p-6">
           <div className="flex justify-between items-center mb-4">
@@ -219,7 +227,11 @@ const Dashboard = () => {
               <p className="text-sm text-gray-500 mt-1">Create your first room to get started</p>
             </div>
           ) : (
-            <RoomList rooms={rooms} onRoomSelect={(roomId) => navigate(`/room/${roomId}`)} />
+            <RoomList
+              rooms={rooms}
+              onRoomSelect={(roomId) => navigate(`/room/${roomId}`)}
+              transcriptLanguage={user?.preferences?.language}
+            />
           )}
         </div>
       </main>
@@ -235,6 +247,14 @@ const Dashboard = () => {
         />
       )}
 
+      {transcriptTarget && (
+        <TranscriptModal
+          {...transcriptTarget}
+          language={user?.preferences?.language}
+          onClose={() => setTranscriptTarget(null)}
+        />
+      )}
+
       {showJoinRoom && (
         <JoinRoomModal
           onClose={() => setShowJoinRoom(false)}
@@ -330,8 +350,181 @@ const UserPreferences = () => {
   );
 };
 
+// Render text with the [start, end) ranges the server marked as matches
+const HighlightedText = ({ text, matches = [] }) => {
+  const parts = [];
+  let position = 0;
+  matches.forEach(([start, end]) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  parts.push(text.slice(position));
+  return <>{parts}</>;
+};
+
+// Message Search Component
+const MessageSearch = ({ onResultSelect }) => {
+  const [query, setQuery] = useState('');
+  const [language, setLanguage] = useState('');
+  const [results, setResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState('');
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim()) return;
+
+    setIsSearching(true);
+    setSearchError('');
+    try {
+      const response = await axios.get('/messages/search', {
+        params: { q: query.trim(), lang: language || undefined }
+      });
+      setResults(response.data.results || []);
+    } catch (error) {
+      setSearchError(error.response?.data?.message || 'Search failed');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  return (
+    <div>
+      <form onSubmit={handleSearch} className="flex flex-col md:flex-row gap-2">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='What was said about... (use "quotes" for phrases)'
+          className="form-input flex-1"
+        />
+        <select
+          value={language}
+          onChange={(e) => setLanguage(e.target.value)}
+          className="form-input md:w-48"
+        >
+          <option value="">Any language</option>
+          {SUPPORTED_LANGUAGES.map(lang => (
+            <option key={lang.code} value={lang.code}>{lang.name}</option>
+          ))}
+        </select>
+        <button type="submit" disabled={isSearching || !query.trim()} className="btn-primary disabled:opacity-50">
+          {isSearching ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {searchError && <p className="text-sm text-red-600 mt-3">{searchError}</p>}
+
+      {results && (
+        <div className="mt-4 space-y-2">
+          {results.length === 0 ? (
+            <p className="text-sm text-gray-500">No messages found</p>
+          ) : results.map(result => (
+            <button
+              key={result.messageId}
+              onClick={() => onResultSelect({ roomId: result.room.roomId, name: result.room.name, messageId: result.messageId })}
+              className="block w-full text-left p-3 border border-gray-200 rounded-lg hover:bg-gray-50"
+            >
+              <div className="text-xs text-gray-500 mb-1">
+                {result.room.name} • {result.speaker} • {new Date(result.timestamp).toLocaleString()}
+                {result.type === 'subtitle' && <span> • spoken</span>}
+              </div>
+              <div className="text-sm text-gray-900">
+                <HighlightedText {...result.snippet} />
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Transcript Modal Component, scrolled to the message picked in search
+const TranscriptModal = ({ roomId, name, messageId, language, onClose }) => {
+  const [entries, setEntries] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const highlightedRef = useRef(null);
+
+  useEffect(() => {
+    axios.get(`/rooms/${roomId}/transcript`, { params: { format: 'json', lang: language } })
+      .then(response => setEntries(response.data.entries || []))
+      .catch(() => setLoadError('Failed to load transcript'));
+  }, [roomId, language]);
+
+  useEffect(() => {
+    highlightedRef.current?.scrollIntoView({ block: 'center' });
+  }, [entries]);
+
+  const formatOffset = (seconds) => new Date(seconds * 1000).toISOString().slice(11, 19);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-2xl mx-4 max-h-[80vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">Transcript: {name}</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto space-y-2">
+          {loadError ? (
+            <p className="text-red-600">{loadError}</p>
+          ) : !entries ? (
+            <div className="flex justify-center py-8">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : entries.map(entry => (
+            <div
+              key={entry.id}
+              ref={entry.id === messageId ? highlightedRef : null}
+              className={`p-2 rounded-md text-sm ${entry.id === messageId ? 'bg-yellow-100' : ''}`}
+            >
+              <span className="text-gray-500 mr-2">[{formatOffset(entry.start)}]</span>
+              <span className="font-medium text-gray-900">{entry.speaker}:</span>{' '}
+              <span className="text-gray-800">{entry.text}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 // Room List Component
-const RoomList = ({ rooms, onRoomSelect }) => {
+const RoomList = ({ rooms, onRoomSelect, transcriptLanguage }) => {
+  const [transcriptFormat, setTranscriptFormat] = useState('srt');
+  const [downloadingRoomId, setDownloadingRoomId] = useState(null);
+  const [downloadError, setDownloadError] = useState('');
+
+  const downloadTranscript = async (roomId) => {
+    setDownloadingRoomId(roomId);
+    setDownloadError('');
+
+    try {
+      const response = await axios.get(`/rooms/${roomId}/transcript`, {
+        params: { format: transcriptFormat, lang: transcriptLanguage },
+        responseType: 'blob'
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `transcript-${roomId}-${transcriptLanguage || 'original'}.${transcriptFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download transcript:', error);
+      setDownloadError('Failed to download transcript');
+    } finally {
+      setDownloadingRoomId(null);
+    }
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString() + ' ' + date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
@@ -348,6 +541,21 @@ const RoomList = ({ rooms, onRoomSelect }) => {
 
   return (
     <div className="space-y-3">
+      <div className="flex items-center justify-end space-x-2 text-sm text-gray-600">
+        {downloadError && <span className="text-red-600">{downloadError}</span>}
+        <label htmlFor="transcript-format">Transcript format</label>
+        <select
+          id="transcript-format"
+          value={transcriptFormat}
+          onChange={(e) => setTranscriptFormat(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="srt">SRT</option>
+          <option value="vtt">WebVTT</option>
+          <option value="txt">Text</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
       {rooms.map(room => (
         <div
           key={room._id}
@@ -373,6 +581,16 @@ const RoomList = ({ rooms, onRoomSelect }) => {
               )}
             </div>
           </div>
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              downloadTranscript(room.roomId);
+            }}
+            disabled={downloadingRoomId === room.roomId}
+            className="mr-3 px-3 py-1 text-sm text-blue-600 border border-blue-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            {downloadingRoomId === room.roomId ? 'Downloading...' : 'Download transcript'}
+          </button>
           <svg className="h-5 w-5 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
           </svg>
@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../contexts/AuthContext';
 import { useSocket } from '../contexts/SocketContext';
 import { useWebRTC } from '../contexts/WebRTCContext';
 import SignLanguageAvatar from '../components/SignLanguageAvatar';
+import { useDubbedAudioPlayer } from '../hooks/useDubbedAudioPlayer';
 import { TranslationPipeline, processSubtitle, getLanguageName } from '../utils/translationService';
+import { ROOM_ROLES, hasRolePermission } from '../utils/constants';
 
 const VideoCallPage = () => {
     const { roomId } = useParams();
@@ -15,12 +18,31 @@ const VideoCallPage = () => {
     // Added `connected` back to the list.
     const { 
         currentRoom, 
+        roomRoles,
         participants, 
         messages, 
+        messageHistoryCursor,
+        loadEarlierMessages,
         subtitles, 
+        speakingUsers,
+        dubbedAudio,
+        removeDubbedAudio,
         joinRoom, 
         leaveRoom, 
         sendMessage,
+        editMessage,
+        deleteMessage,
+        reactToMessage,
+        moderateMessage,
+        sendHostAction,
+        removedFromRoom,
+        lobbyStatus,
+        lobbyRequests,
+        respondToLobby,
+        error: socketError,
+        typingUsers,
+        sendTypingState,
+        markMessagesRead,
         connected,
         broadcastPreferences 
     } = useSocket();
@@ -32,6 +54,7 @@ const VideoCallPage = () => {
         videoEnabled,
         audioEnabled,
         screenSharing,
+        isSpeaking,
         toggleVideo,
         toggleAudio,
         startScreenShare,
@@ -41,7 +64,15 @@ const VideoCallPage = () => {
     const [showSettings, setShowSettings] = useState(false);
     const [showChat, setShowChat] = useState(false);
     const [chatMessage, setChatMessage] = useState('');
+    const [chatTab, setChatTab] = useState('room'); // 'room' or the other user's id in a private conversation
+    const [threadParentId, setThreadParentId] = useState(null);
+    const [slowModeUntil, setSlowModeUntil] = useState(0);
+    const [uploadingAttachment, setUploadingAttachment] = useState(false);
+    const [attachmentError, setAttachmentError] = useState('');
     const [currentSubtitle, setCurrentSubtitle] = useState('');
+    const [currentSpeaker, setCurrentSpeaker] = useState('');
+    const [subtitleDegraded, setSubtitleDegraded] = useState(false);
+    const [subtitlePartial, setSubtitlePartial] = useState(false);
     const [lastSubtitle, setLastSubtitle] = useState('Welcome to the video call');
     const [isLoading, setIsLoading] = useState(true);
     const [roomReady, setRoomReady] = useState(false);
@@ -50,8 +81,14 @@ const VideoCallPage = () => {
     const [showSignLanguageAvatar, setShowSignLanguageAvatar] = useState(false);
     
     const localVideoRef = useRef(null);
+    const attachmentInputRef = useRef(null);
+    const lastTypingSentRef = useRef(0);
+    const readReceiptsSentRef = useRef(new Set());
     const remoteVideoRefs = useRef({});
 
+    // Text-to-speech of translated speech, for users who chose to hear it
+    useDubbedAudioPlayer(dubbedAudio, removeDubbedAudio, remoteVideoRefs);
+
     useEffect(() => {
         // Initialize room with smooth loading - only run once per roomId
         const initializeRoom = async () => {
@@ -69,14 +106,9 @@ const VideoCallPage = () => {
                     setIsLoading(false);
                 }, 800);
             } else {
-                // Real mode - try to join room
+                // Real mode - the room opens once the server confirms we joined
                 try {
                     joinRoom(roomId);
-                    // Wait for room to be joined
-                    setTimeout(() => {
-                        setRoomReady(true);
-                        setIsLoading(false);
-                    }, 1500);
                 } catch (error) {
                     console.error('Failed to join room:', error);
                     setIsLoading(false);
@@ -96,8 +128,40 @@ const VideoCallPage = () => {
         };
     }, [roomId]); // Only depend on roomId to prevent re-initialization
 
-    // Real-time translation and subtitle effect
+    // room_joined arrives straight away, or once a host admits us from the lobby
+    useEffect(() => {
+        if (currentRoom?.roomId !== roomId) return;
+        setRoomReady(true);
+        setIsLoading(false);
+    }, [currentRoom?.roomId, roomId]);
+
+    // Live subtitles pushed by the server, shown in the viewer's language
     useEffect(() => {
+        const latest = subtitles[subtitles.length - 1];
+        if (!latest) return;
+
+        const language = user?.preferences?.language || 'en';
+        const text = latest.language === language
+            ? latest.text
+            : latest.translations?.[language] || latest.text;
+
+        setCurrentSpeaker(latest.speakerId === user?._id ? 'You' : latest.speakerName);
+        // Fallback captions are placeholders, not what was actually said
+        setSubtitleDegraded(Boolean(latest.degraded
+            || (latest.language !== language && latest.degradedTranslations?.includes(language))));
+        setSubtitlePartial(!latest.final);
+        setCurrentSubtitle(text);
+        setLastSubtitle(text); // Keep for sign language avatar
+
+        // Clear subtitle after showing for 4 seconds (but keep lastSubtitle)
+        const timeout = setTimeout(() => setCurrentSubtitle(''), 4000);
+        return () => clearTimeout(timeout);
+    }, [subtitles, user?._id, user?.preferences?.language]);
+
+    // Scripted subtitles for offline demo mode, where no audio reaches the server
+    useEffect(() => {
+        if (localStorage.getItem('demoMode') !== 'true') return;
+
         const demoSubtitles = [
             "Hello, how are you?",
             "I am fine, thank you", 
@@ -161,13 +225,174 @@ const VideoCallPage = () => {
         });
     }, [remoteStreams]);
     
+    useEffect(() => {
+        if (removedFromRoom?.roomId !== roomId) return;
+        window.alert(removedFromRoom.banned
+            ? `${removedFromRoom.by} removed you from this room and you can't rejoin it.`
+            : `${removedFromRoom.by} removed you from this call.`);
+        navigate('/dashboard');
+    }, [removedFromRoom, roomId, navigate]);
+
     const handleLeaveRoom = () => {
-        if (currentRoom) {
-            leaveRoom(currentRoom.roomId);
+        if (currentRoom || lobbyStatus?.roomId === roomId) {
+            leaveRoom(roomId);
         }
         navigate('/dashboard');
     };
 
+    // Chat is split into the room channel and one channel per private conversation
+    const senderIdOf = (message) => message.sender?._id || message.sender;
+    const channelOf = (message) => {
+        if (!message.recipients?.length) return 'room';
+        return senderIdOf(message) === user?._id ? message.recipients[0] : senderIdOf(message);
+    };
+    const channelMessages = messages.filter(message => channelOf(message) === chatTab);
+    const visibleMessages = threadParentId
+        ? channelMessages.filter(message => message._id === threadParentId || message.replyTo === threadParentId)
+        : channelMessages.filter(message => !message.replyTo);
+    const replyCounts = channelMessages.reduce((counts, message) => {
+        if (message.replyTo) counts[message.replyTo] = (counts[message.replyTo] || 0) + 1;
+        return counts;
+    }, {});
+    const privateChannels = [...new Set([
+        ...messages.map(channelOf),
+        chatTab
+    ])].filter(channel => channel !== 'room');
+    const participantName = (userId) => (
+        participants.find(p => p._id === userId)?.username
+        || messages.find(message => senderIdOf(message) === userId)?.sender?.username
+        || 'Participant'
+    );
+    const roleOf = (userId) => roomRoles[userId] || 'participant';
+    const roleRank = (role) => ROOM_ROLES.findIndex(r => r.value === role);
+    const myRole = user ? roleOf(user._id) : 'participant';
+    const can = (permission) => hasRolePermission(myRole, permission);
+    const canSpeak = can('speak');
+    const slowModeSeconds = currentRoom?.settings?.slowModeSeconds || 0;
+
+    // Viewers only watch, so their microphone and camera stay off
+    useEffect(() => {
+        if (canSpeak) return;
+        if (audioEnabled) toggleAudio();
+        if (videoEnabled) toggleVideo();
+    }, [canSpeak, audioEnabled, videoEnabled, toggleAudio, toggleVideo]);
+
+    // Hosts and co-hosts are exempt from slow mode; everyone else waits between messages
+    useEffect(() => {
+        if (slowModeUntil <= Date.now()) return;
+        const timer = setTimeout(() => setSlowModeUntil(0), slowModeUntil - Date.now());
+        return () => clearTimeout(timer);
+    }, [slowModeUntil]);
+
+    const startSlowModeCooldown = () => {
+        if (slowModeSeconds > 0 && !can('bypass_slow_mode')) {
+            setSlowModeUntil(Date.now() + slowModeSeconds * 1000);
+        }
+    };
+
+    const handleLobbyToggle = async () => {
+        try {
+            await axios.put(`/rooms/${currentRoom.roomId}/settings`, {
+                lobbyEnabled: !currentRoom.settings?.lobbyEnabled
+            });
+        } catch (error) {
+            console.error('Failed to update lobby setting:', error);
+        }
+    };
+
+    const handleSlowModeChange = async (e) => {
+        try {
+            await axios.put(`/rooms/${currentRoom.roomId}/settings`, {
+                slowModeSeconds: parseInt(e.target.value, 10)
+            });
+        } catch (error) {
+            console.error('Failed to update slow mode:', error);
+        }
+    };
+
+    const handleRoleChange = async (participant, role) => {
+        if (role === 'host' && !window.confirm(`Make ${participant.username} the host? You will become a co-host.`)) return;
+        try {
+            await axios.put(`/rooms/${currentRoom.roomId}/participants/${participant._id}/role`, { role });
+        } catch (error) {
+            console.error('Failed to change role:', error);
+            window.alert(error.response?.data?.message || 'Could not change the role');
+        }
+    };
+
+    const messageTarget = {
+        replyTo: threadParentId,
+        recipientId: chatTab === 'room' ? null : chatTab
+    };
+
+    const typingNames = Object.entries(typingUsers)
+        .filter(([typingUserId, { recipientId }]) => (chatTab === 'room'
+            ? !recipientId
+            : typingUserId === chatTab && recipientId === user?._id))
+        .map(([, { username }]) => username);
+
+    // Report messages as read once they are on screen in the open chat panel
+    useEffect(() => {
+        if (!showChat || !currentRoom || !user) return;
+        const unread = visibleMessages
+            .filter(m => !m.isDeleted
+                && (m.sender?._id || m.sender) !== user._id
+                && !m.readBy?.some(r => r.user === user._id)
+                && !readReceiptsSentRef.current.has(m._id))
+            .map(m => m._id);
+        unread.forEach(id => readReceiptsSentRef.current.add(id));
+        markMessagesRead(currentRoom.roomId, unread);
+    }, [showChat, currentRoom, user, visibleMessages, markMessagesRead]);
+
+    const handleChatInputChange = (e) => {
+        const value = e.target.value;
+        setChatMessage(value);
+        if (!currentRoom) return;
+
+        if (!value.trim()) {
+            lastTypingSentRef.current = 0;
+            sendTypingState(currentRoom.roomId, false);
+        } else if (Date.now() - lastTypingSentRef.current > 1500) {
+            lastTypingSentRef.current = Date.now();
+            sendTypingState(currentRoom.roomId, true, messageTarget.recipientId);
+        }
+    };
+
+    const openChatTab = (channel) => {
+        setChatTab(channel);
+        setThreadParentId(null);
+    };
+
+    // The typed message, if any, is sent as the attachment's caption
+    const handleAttachmentSelected = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !currentRoom) return;
+
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('caption', chatMessage.trim());
+        Object.entries(messageTarget).forEach(([key, value]) => {
+            if (value) formData.append(key, value);
+        });
+
+        setUploadingAttachment(true);
+        setAttachmentError('');
+        try {
+            // The message itself arrives over the socket like any other chat message
+            await axios.post(`/rooms/${currentRoom.roomId}/attachments`, formData);
+            setChatMessage('');
+            startSlowModeCooldown();
+        } catch (error) {
+            setAttachmentError(error.response?.data?.message || 'Failed to upload attachment');
+        } finally {
+            setUploadingAttachment(false);
+        }
+    };
+
+    const lobbyWaiting = lobbyStatus?.roomId === roomId && lobbyStatus.status === 'waiting';
+    const lobbyDenied = lobbyStatus?.roomId === roomId && lobbyStatus.status === 'denied';
+
     // Show enhanced loading screen while initializing
     if (isLoading || !roomReady) {
         return (
@@ -181,12 +406,28 @@ const VideoCallPage = () => {
                             </svg>
                         </div>
                     </div>
-                    <h2 className="text-2xl font-semibold mb-2 animate-pulse">Joining Room</h2>
+                    <h2 className="text-2xl font-semibold mb-2 animate-pulse">
+                        {lobbyWaiting ? 'Waiting to be let in' : lobbyDenied ? 'You were not let in' : 'Joining Room'}
+                    </h2>
                     <p className="text-gray-300 mb-4">Room ID: <span className="font-mono bg-gray-700 px-2 py-1 rounded">{roomId}</span></p>
                     <div className="flex items-center justify-center space-x-2 text-sm text-gray-400">
                         <div className="w-2 h-2 bg-blue-400 rounded-full animate-pulse"></div>
-                        <span>Setting up video call...</span>
+                        <span>
+                            {lobbyWaiting
+                                ? 'The host knows you are here and will admit you shortly'
+                                : lobbyDenied
+                                    ? `${lobbyStatus.by} declined your request to join`
+                                    : socketError || 'Setting up video call...'}
+                        </span>
                     </div>
+                    {(lobbyWaiting || lobbyDenied || socketError) && (
+                        <button
+                            onClick={handleLeaveRoom}
+                            className="mt-6 px-4 py-2 bg-gray-600 hover:bg-gray-700 rounded-lg text-sm transition-colors"
+                        >
+                            {lobbyWaiting ? 'Cancel' : 'Back to dashboard'}
+                        </button>
+                    )}
                     {!connected && (
                         <div className="mt-4 text-yellow-400 text-sm animate-bounce">
                             <div className="flex items-center justify-center space-x-2">
@@ -219,14 +460,30 @@ const VideoCallPage = () => {
                         </div>
                     </div>
                 </div>
+                {can('update_settings') && currentRoom && (
+                    <button
+                        onClick={handleLobbyToggle}
+                        title="When the lobby is on, people wait until a host or co-host admits them"
+                        className={`px-3 py-1 rounded-md text-xs transition-colors ${currentRoom.settings?.lobbyEnabled ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-600 hover:bg-gray-700'}`}
+                    >
+                        🚪 Lobby {currentRoom.settings?.lobbyEnabled ? 'on' : 'off'}
+                    </button>
+                )}
             </header>
 
+            {can('admit_participants') && lobbyRequests.length > 0 && (
+                <LobbyRequests
+                    requests={lobbyRequests}
+                    onRespond={(admit, userId) => respondToLobby(currentRoom.roomId, admit, userId)}
+                />
+            )}
+
             <main className="flex-1 flex overflow-hidden">
                 <div className="flex-1 flex">
                     {/* Video Area */}
                     <div className="flex-1 relative p-4 grid gap-4 grid-cols-1 md:grid-cols-2">
                         {/* Local Video */}
-                        <div className="relative bg-black rounded-lg overflow-hidden min-h-[300px]">
+                        <div className={`relative bg-black rounded-lg overflow-hidden min-h-[300px] transition-shadow ${isSpeaking ? 'ring-4 ring-green-400' : ''}`}>
                             <video 
                                 ref={localVideoRef} 
                                 autoPlay 
@@ -276,11 +533,22 @@ const VideoCallPage = () => {
                                         </div>
                                     ) : (
                                         <div>
-                                            <div className="text-sm font-medium mb-1">{currentSubtitle}</div>
-                                            <div className="text-xs opacity-75 flex items-center justify-center space-x-2">
-                                                <span>Auto-translated to {getLanguageName(user?.preferences?.language || 'en')}</span>
-                                                <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse-soft"></div>
+                                            <div className="text-sm font-medium mb-1">
+                                                {currentSpeaker && <span className="text-blue-300 mr-1">{currentSpeaker}:</span>}
+                                                {currentSubtitle}
+                                                {subtitlePartial && <span className="ml-1 opacity-60 animate-pulse">…</span>}
                                             </div>
+                                            {subtitleDegraded ? (
+                                                <div className="text-xs text-yellow-300 flex items-center justify-center space-x-1">
+                                                    <span>⚠️</span>
+                                                    <span>Placeholder caption: speech or translation service unavailable</span>
+                                                </div>
+                                            ) : (
+                                                <div className="text-xs opacity-75 flex items-center justify-center space-x-2">
+                                                    <span>Auto-translated to {getLanguageName(user?.preferences?.language || 'en')}</span>
+                                                    <div className="w-2 h-2 bg-green-400 rounded-full animate-pulse-soft"></div>
+                                                </div>
+                                            )}
                                         </div>
                                     )}
                                 </div>
@@ -289,7 +557,7 @@ const VideoCallPage = () => {
                         
                         {/* Remote Videos */}
                         {remoteParticipants.map(participant => (
-                            <div key={participant._id} className="relative bg-black rounded-lg overflow-hidden min-h-[300px]"> 
+                            <div key={participant._id} className={`relative bg-black rounded-lg overflow-hidden min-h-[300px] transition-shadow ${speakingUsers[participant._id] ? 'ring-4 ring-green-400' : ''}`}> 
                                 <video
                                     ref={el => (remoteVideoRefs.current[participant._id] = el)}
                                     autoPlay
@@ -298,7 +566,20 @@ const VideoCallPage = () => {
                                 />
                                 <div className="absolute top-2 left-2 bg-black bg-opacity-50 px-2 py-1 rounded text-xs text-white">
                                     {participant.username}
+                                    {roleOf(participant._id) !== 'participant' && (
+                                        <span className="ml-2 text-yellow-300">{ROOM_ROLES.find(r => r.value === roleOf(participant._id))?.label}</span>
+                                    )}
+                                    {speakingUsers[participant._id] && <span className="ml-2 text-green-400">🎙️ Speaking</span>}
                                 </div>
+                                {can('manage_participants') && roleRank(myRole) < roleRank(roleOf(participant._id)) && (
+                                    <HostControls
+                                        participant={participant}
+                                        role={roleOf(participant._id)}
+                                        canAssignRoles={can('assign_roles')}
+                                        onAction={(action, reason) => sendHostAction(currentRoom.roomId, action, participant._id, reason)}
+                                        onRoleChange={(role) => handleRoleChange(participant, role)}
+                                    />
+                                )}
                             </div>
                         ))}
                         
@@ -380,6 +661,21 @@ const VideoCallPage = () => {
                         <div className="w-80 bg-white border-l border-gray-200 flex flex-col animate-slide-in-right">
                             <div className="p-4 border-b border-gray-200 flex justify-between items-center">
                                 <h3 className="font-semibold text-gray-900">Chat</h3>
+                                {can('update_settings') ? (
+                                    <select
+                                        value={slowModeSeconds}
+                                        onChange={handleSlowModeChange}
+                                        title="Slow mode"
+                                        className="ml-auto mr-2 px-1 py-1 text-xs border border-gray-300 rounded-md text-gray-600"
+                                    >
+                                        <option value={0}>Slow mode off</option>
+                                        {[5, 10, 30, 60, 300].map(seconds => (
+                                            <option key={seconds} value={seconds}>Slow mode: {seconds}s</option>
+                                        ))}
+                                    </select>
+                                ) : slowModeSeconds > 0 && (
+                                    <span className="ml-auto mr-2 text-xs text-gray-500">🐢 Slow mode: {slowModeSeconds}s</span>
+                                )}
                                 <button 
                                     onClick={() => setShowChat(false)}
                                     className="text-gray-400 hover:text-gray-600"
@@ -390,48 +686,132 @@ const VideoCallPage = () => {
                                 </button>
                             </div>
                             
+                            <div className="px-4 py-2 border-b border-gray-200 flex flex-wrap items-center gap-1 text-sm">
+                                <button
+                                    onClick={() => openChatTab('room')}
+                                    className={`px-2 py-1 rounded-md ${chatTab === 'room' ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                                >
+                                    Room
+                                </button>
+                                {privateChannels.map(channel => (
+                                    <button
+                                        key={channel}
+                                        onClick={() => openChatTab(channel)}
+                                        className={`px-2 py-1 rounded-md ${chatTab === channel ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                                    >
+                                        🔒 {participantName(channel)}
+                                    </button>
+                                ))}
+                                <select
+                                    value=""
+                                    onChange={(e) => e.target.value && openChatTab(e.target.value)}
+                                    className="ml-auto px-1 py-1 text-xs border border-gray-300 rounded-md text-gray-600"
+                                >
+                                    <option value="">+ Private message</option>
+                                    {participants
+                                        .filter(p => p._id !== user?._id && !privateChannels.includes(p._id))
+                                        .map(p => (
+                                            <option key={p._id} value={p._id}>{p.username}</option>
+                                        ))}
+                                </select>
+                            </div>
+
+                            {threadParentId && (
+                                <div className="px-4 py-2 border-b border-gray-200 flex items-center space-x-2 text-sm">
+                                    <button
+                                        onClick={() => setThreadParentId(null)}
+                                        className="text-blue-600 hover:text-blue-700"
+                                    >
+                                        ← Back
+                                    </button>
+                                    <span className="font-medium text-gray-900">Thread</span>
+                                </div>
+                            )}
+
                             <div className="flex-1 overflow-y-auto p-4 space-y-3">
-                                {messages.length === 0 ? (
+                                {messageHistoryCursor && currentRoom && !threadParentId && (
+                                    <button
+                                        onClick={() => loadEarlierMessages(currentRoom.roomId)}
+                                        className="w-full text-sm text-blue-600 hover:text-blue-700 py-1"
+                                    >
+                                        Load earlier messages
+                                    </button>
+                                )}
+                                {visibleMessages.length === 0 ? (
                                     <div className="text-center text-gray-500 py-8">
                                         <p>No messages yet</p>
-                                        <p className="text-sm">Start the conversation!</p>
+                                        <p className="text-sm">
+                                            {chatTab === 'room'
+                                                ? 'Start the conversation!'
+                                                : `Only you and ${participantName(chatTab)} can see this conversation`}
+                                        </p>
                                     </div>
                                 ) : (
-                                    messages.map((message, index) => (
-                                        <div key={index} className={`p-3 rounded-lg max-w-xs ${
-                                            message.sender._id === user?.id 
-                                                ? 'bg-blue-600 text-white ml-auto' 
-                                                : 'bg-gray-100 text-gray-900'
-                                        }`}>
-                                            <div className="text-xs opacity-75 mb-1">
-                                                {message.sender.username} • {new Date(message.createdAt).toLocaleTimeString()}
-                                            </div>
-                                            <div className="text-sm">
-                                                {message.content.original.text}
-                                            </div>
-                                        </div>
+                                    visibleMessages.map((message) => (
+                                        <ChatMessage
+                                            key={message._id}
+                                            message={message}
+                                            replyCount={replyCounts[message._id] || 0}
+                                            readers={(message.readBy || []).map(r => participantName(r.user))}
+                                            onOpenThread={message.replyTo || threadParentId ? null : () => setThreadParentId(message._id)}
+                                            roomId={currentRoom?.roomId}
+                                            currentUserId={user?._id}
+                                            canModerate={can('moderate_messages')}
+                                            onEdit={(text) => editMessage(currentRoom.roomId, message._id, text)}
+                                            onDelete={() => deleteMessage(currentRoom.roomId, message._id)}
+                                            onModerate={(reason) => moderateMessage(currentRoom.roomId, message._id, reason)}
+                                            onReact={(emoji) => reactToMessage(currentRoom.roomId, message._id, emoji)}
+                                        />
                                     ))
                                 )}
                             </div>
                             
                             <div className="p-4 border-t border-gray-200">
+                                {typingNames.length > 0 && (
+                                    <p className="text-xs text-gray-500 italic mb-2">
+                                        {typingNames.join(', ')} {typingNames.length === 1 ? 'is' : 'are'} typing…
+                                    </p>
+                                )}
+                                {attachmentError && (
+                                    <p className="text-xs text-red-600 mb-2">{attachmentError}</p>
+                                )}
+                                <input
+                                    ref={attachmentInputRef}
+                                    type="file"
+                                    className="hidden"
+                                    onChange={handleAttachmentSelected}
+                                />
                                 <form onSubmit={(e) => {
                                     e.preventDefault();
                                     if (chatMessage.trim() && currentRoom) {
-                                        sendMessage(currentRoom.roomId, chatMessage.trim());
+                                        sendMessage(currentRoom.roomId, chatMessage.trim(), messageTarget);
                                         setChatMessage('');
+                                        lastTypingSentRef.current = 0;
+                                        startSlowModeCooldown();
                                     }
                                 }} className="flex space-x-2">
+                                    <button
+                                        type="button"
+                                        onClick={() => attachmentInputRef.current?.click()}
+                                        disabled={uploadingAttachment || !currentRoom || slowModeUntil > 0 || !can('send_messages')}
+                                        title="Attach a file (the message text becomes its caption)"
+                                        className="px-2 text-gray-500 hover:text-gray-700 disabled:opacity-50"
+                                    >
+                                        {uploadingAttachment ? '…' : '📎'}
+                                    </button>
                                     <input
                                         type="text"
                                         value={chatMessage}
-                                        onChange={(e) => setChatMessage(e.target.value)}
-                                        placeholder="Type a message..."
+                                        onChange={handleChatInputChange}
+                                        disabled={!can('send_messages')}
+                                        placeholder={!can('send_messages')
+                                            ? 'Viewers can read the chat but not post'
+                                            : threadParentId ? 'Reply in thread...' : 'Type a message...'}
                                         className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                                     />
                                     <button
                                         type="submit"
-                                        disabled={!chatMessage.trim()}
+                                        disabled={!chatMessage.trim() || slowModeUntil > 0}
                                         className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                                     >
                                         Send
@@ -447,8 +827,9 @@ const VideoCallPage = () => {
                 {/* Control Buttons */}
                 <button 
                     onClick={toggleAudio} 
-                    title={audioEnabled ? 'Mute' : 'Unmute'} 
-                    className={`p-3 rounded-full text-white transition-colors ${audioEnabled ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
+                    disabled={!canSpeak}
+                    title={!canSpeak ? 'Viewers cannot unmute' : audioEnabled ? 'Mute' : 'Unmute'} 
+                    className={`p-3 rounded-full text-white transition-colors disabled:opacity-50 ${audioEnabled ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
                 >
                     {audioEnabled ? (
                         <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -464,8 +845,9 @@ const VideoCallPage = () => {
                 
                 <button 
                     onClick={toggleVideo} 
-                    title={videoEnabled ? 'Stop Video' : 'Start Video'} 
-                    className={`p-3 rounded-full text-white transition-colors ${videoEnabled ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
+                    disabled={!canSpeak}
+                    title={!canSpeak ? 'Viewers cannot start video' : videoEnabled ? 'Stop Video' : 'Start Video'} 
+                    className={`p-3 rounded-full text-white transition-colors disabled:opacity-50 ${videoEnabled ? 'bg-gray-600 hover:bg-gray-700' : 'bg-red-600 hover:bg-red-700'}`}
                 >
                     {videoEnabled ? (
                         <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -570,19 +952,312 @@ const VideoCallPage = () => {
     );
 };
 
+// People waiting in the lobby, for hosts and co-hosts to admit or deny
+const LobbyRequests = ({ requests, onRespond }) => (
+    <div className="absolute top-20 right-4 z-20 w-72 bg-white text-gray-900 rounded-lg shadow-lg p-3 animate-fade-in">
+        <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-sm">Waiting in the lobby ({requests.length})</h3>
+            {requests.length > 1 && (
+                <div className="space-x-2 text-xs">
+                    <button onClick={() => onRespond(true)} className="text-blue-600 hover:underline">Admit all</button>
+                    <button onClick={() => onRespond(false)} className="text-red-600 hover:underline">Deny all</button>
+                </div>
+            )}
+        </div>
+        <ul className="space-y-2 max-h-60 overflow-y-auto">
+            {requests.map(({ user: waitingUser }) => (
+                <li key={waitingUser._id} className="flex items-center justify-between text-sm">
+                    <span>
+                        {waitingUser.username}
+                        <span className="ml-1 text-xs text-gray-500">{getLanguageName(waitingUser.language)}</span>
+                    </span>
+                    <span className="space-x-1">
+                        <button
+                            onClick={() => onRespond(true, waitingUser._id)}
+                            className="px-2 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-xs"
+                        >
+                            Admit
+                        </button>
+                        <button
+                            onClick={() => onRespond(false, waitingUser._id)}
+                            className="px-2 py-1 bg-gray-200 hover:bg-gray-300 rounded text-xs"
+                        >
+                            Deny
+                        </button>
+                    </span>
+                </li>
+            ))}
+        </ul>
+    </div>
+);
+
+// Host and co-host menu on a participant's video tile
+const HostControls = ({ participant, role, canAssignRoles, onAction, onRoleChange }) => {
+    const confirmAction = (action) => {
+        if (action === 'ban') {
+            const reason = window.prompt(`Ban ${participant.username} from this room? Reason (optional):`);
+            if (reason !== null) onAction('ban', reason);
+        } else if (window.confirm(`Remove ${participant.username} from the call?`)) {
+            onAction('remove');
+        }
+    };
+
+    const buttonClass = 'px-2 py-1 rounded bg-black bg-opacity-50 hover:bg-opacity-75 text-xs text-white';
+
+    return (
+        <div className="absolute top-2 right-2 flex space-x-1">
+            {canAssignRoles && (
+                <select
+                    value={role}
+                    onChange={(e) => onRoleChange(e.target.value)}
+                    title="Role"
+                    className="px-1 py-1 rounded bg-black bg-opacity-50 text-xs text-white"
+                >
+                    {ROOM_ROLES.map(r => (
+                        <option key={r.value} value={r.value}>{r.label}</option>
+                    ))}
+                </select>
+            )}
+            <button onClick={() => onAction('mute')} className={buttonClass} title="Mute microphone">🔇</button>
+            <button onClick={() => onAction('stop_video')} className={buttonClass} title="Turn off camera">📷</button>
+            <button onClick={() => confirmAction('remove')} className={buttonClass} title="Remove from call">Remove</button>
+            <button onClick={() => confirmAction('ban')} className={`${buttonClass} text-red-300`} title="Ban from room">Ban</button>
+        </div>
+    );
+};
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '🙏'];
+
+// Human-readable size for an attachment, e.g. "1.5 MB"
+const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Attachments need the auth header, so they are fetched as blobs rather than linked directly
+const AttachmentPreview = ({ roomId, message }) => {
+    const [thumbnailUrl, setThumbnailUrl] = useState(null);
+    const { filename, mimeType, size } = message.attachment;
+    const isImage = mimeType?.startsWith('image/');
+    const url = `/rooms/${roomId}/attachments/${message._id}`;
+
+    useEffect(() => {
+        if (!isImage || !roomId) return;
+        let objectUrl = null;
+        let cancelled = false;
+
+        axios.get(url, { responseType: 'blob' })
+            .then(response => {
+                if (cancelled) return;
+                objectUrl = URL.createObjectURL(response.data);
+                setThumbnailUrl(objectUrl);
+            })
+            .catch(error => console.error('Failed to load attachment preview:', error));
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [isImage, roomId, url]);
+
+    const handleDownload = async () => {
+        try {
+            const response = await axios.get(url, { params: { download: 1 }, responseType: 'blob' });
+            const objectUrl = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = objectUrl;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(objectUrl);
+        } catch (error) {
+            console.error('Failed to download attachment:', error);
+        }
+    };
+
+    return (
+        <button onClick={handleDownload} className="block w-full text-left mb-1" title={`Download ${filename}`}>
+            {isImage && thumbnailUrl ? (
+                <img src={thumbnailUrl} alt={filename} className="max-h-40 rounded-md object-cover" />
+            ) : (
+                <div className="flex items-center space-x-2 p-2 rounded-md bg-black bg-opacity-10">
+                    <span className="text-xl">📄</span>
+                    <div className="min-w-0">
+                        <div className="text-sm font-medium truncate">{filename}</div>
+                        <div className="text-xs opacity-75">{formatFileSize(size)}</div>
+                    </div>
+                </div>
+            )}
+        </button>
+    );
+};
+
+// A single chat message with edit, delete and reaction controls
+const ChatMessage = ({ message, roomId, currentUserId, canModerate, replyCount, readers, onOpenThread, onEdit, onDelete, onModerate, onReact }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState('');
+    const [showReactions, setShowReactions] = useState(false);
+
+    const isOwn = message.sender._id === currentUserId;
+    const bubbleClass = `p-3 rounded-lg max-w-xs ${isOwn ? 'bg-blue-600 text-white ml-auto' : 'bg-gray-100 text-gray-900'}`;
+
+    if (message.isDeleted) {
+        return (
+            <div className={`${bubbleClass} opacity-60`}>
+                <div className="text-xs opacity-75 mb-1">{message.sender.username}</div>
+                <div className="text-sm italic">
+                    {message.moderation?.at ? 'Removed by the host' : 'This message was deleted'}
+                </div>
+            </div>
+        );
+    }
+
+    // Group reactions by emoji, remembering whether the current user is among them
+    const reactions = (message.metadata?.reactions || []).reduce((groups, reaction) => {
+        const group = groups[reaction.emoji] || { count: 0, mine: false };
+        group.count++;
+        group.mine = group.mine || reaction.user === currentUserId;
+        return { ...groups, [reaction.emoji]: group };
+    }, {});
+
+    const handleEditSubmit = (e) => {
+        e.preventDefault();
+        const text = editText.trim();
+        if (text && text !== message.content.original.text) {
+            onEdit(text);
+        }
+        setIsEditing(false);
+    };
+
+    return (
+        <div className={bubbleClass}>
+            <div className="text-xs opacity-75 mb-1">
+                {message.sender.username} • {new Date(message.createdAt).toLocaleTimeString()}
+                {message.metadata?.edited && <span> • edited</span>}
+            </div>
+            {isEditing ? (
+                <form onSubmit={handleEditSubmit} className="space-y-1">
+                    <input
+                        type="text"
+                        value={editText}
+                        onChange={(e) => setEditText(e.target.value)}
+                        autoFocus
+                        className="w-full px-2 py-1 text-sm text-gray-900 border border-gray-300 rounded"
+                    />
+                    <div className="flex justify-end space-x-2 text-xs">
+                        <button type="button" onClick={() => setIsEditing(false)} className="opacity-75 hover:opacity-100">Cancel</button>
+                        <button type="submit" className="font-medium hover:underline">Save</button>
+                    </div>
+                </form>
+            ) : (
+                <>
+                    {message.type === 'attachment' && message.attachment && (
+                        <AttachmentPreview roomId={roomId} message={message} />
+                    )}
+                    {(message.translation?.text || message.content.original.text) && (
+                        <div className="text-sm">
+                            {message.translation?.text || message.content.original.text}
+                        </div>
+                    )}
+                </>
+            )}
+            {message.translation?.degraded && (
+                <div className="text-xs mt-1 font-medium opacity-90">
+                    ⚠️ Translation service unavailable, showing placeholder
+                </div>
+            )}
+            {message.translation && (
+                <div className="text-xs opacity-75 mt-1 italic">
+                    {getLanguageName(message.content.original.language)}: {message.content.original.text}
+                </div>
+            )}
+            {Object.keys(reactions).length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                    {Object.entries(reactions).map(([emoji, { count, mine }]) => (
+                        <button
+                            key={emoji}
+                            onClick={() => onReact(emoji)}
+                            className={`px-1.5 py-0.5 text-xs rounded-full border ${mine ? 'border-yellow-400 bg-yellow-100 text-gray-900' : 'border-gray-300 bg-white text-gray-700'}`}
+                        >
+                            {emoji} {count}
+                        </button>
+                    ))}
+                </div>
+            )}
+            {!isEditing && (
+                <div className="flex items-center space-x-2 mt-1 text-xs opacity-75">
+                    <button onClick={() => setShowReactions(!showReactions)} className="hover:opacity-100">React</button>
+                    {onOpenThread && (
+                        <button onClick={onOpenThread} className="hover:opacity-100">
+                            {replyCount > 0 ? `💬 ${replyCount} ${replyCount === 1 ? 'reply' : 'replies'}` : 'Reply'}
+                        </button>
+                    )}
+                    {isOwn && message.type === 'text' && (
+                        <button
+                            onClick={() => {
+                                setEditText(message.content.original.text);
+                                setIsEditing(true);
+                            }}
+                            className="hover:opacity-100"
+                        >
+                            Edit
+                        </button>
+                    )}
+                    {isOwn && (
+                        <button onClick={onDelete} className="hover:opacity-100">Delete</button>
+                    )}
+                    {!isOwn && canModerate && (
+                        <button
+                            onClick={() => {
+                                const reason = window.prompt('Remove this message for everyone? Reason (optional):');
+                                if (reason !== null) onModerate(reason);
+                            }}
+                            className="hover:opacity-100"
+                        >
+                            Remove
+                        </button>
+                    )}
+                    {readers.length > 0 && (
+                        <span className="ml-auto" title={`Read by ${readers.join(', ')}`}>
+                            ✓ Read by {readers.length}
+                        </span>
+                    )}
+                </div>
+            )}
+            {showReactions && (
+                <div className="flex space-x-1 mt-1">
+                    {QUICK_REACTIONS.map(emoji => (
+                        <button
+                            key={emoji}
+                            onClick={() => {
+                                onReact(emoji);
+                                setShowReactions(false);
+                            }}
+                            className="text-lg hover:scale-125 transition-transform"
+                        >
+                            {emoji}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
 const SettingsPanel = ({ onClose, updatePreferences, currentUser, broadcastPreferences, currentRoom }) => {
     const [language, setLanguage] = useState(currentUser?.preferences?.language || 'en');
     const [deafMode, setDeafMode] = useState(currentUser?.preferences?.deafMode || false);
+    const [hearTranslatedAudio, setHearTranslatedAudio] = useState(currentUser?.preferences?.hearTranslatedAudio || false);
 
     const handleSave = async () => {
         if (updatePreferences) {
-            console.log('Saving preferences:', { language, deafMode });
-            const result = await updatePreferences({ language, deafMode });
+            console.log('Saving preferences:', { language, deafMode, hearTranslatedAudio });
+            const result = await updatePreferences({ language, deafMode, hearTranslatedAudio });
             if (result?.success) {
                 console.log('Preferences updated successfully');
                 if (broadcastPreferences && currentRoom) {
                     // Broadcast preference changes to other participants
-                    broadcastPreferences(currentRoom.roomId, { language, deafMode });
+                    broadcastPreferences(currentRoom.roomId, { language, deafMode, hearTranslatedAudio });
                 }
                 
                 // Provide immediate visual feedback
@@ -650,6 +1325,18 @@ const SettingsPanel = ({ onClose, updatePreferences, currentUser, broadcastPrefe
                             <span className={`inline-block w-4 h-4 transform bg-white rounded-full transition-transform ${deafMode ? 'translate-x-6' : 'translate-x-1'}`} />
                         </button>
                     </div>
+                    <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-700">
+                            Hear Translated Audio
+                            {hearTranslatedAudio && <span className="ml-2 text-blue-600">🔊 On</span>}
+                        </span>
+                        <button
+                            onClick={() => setHearTranslatedAudio(!hearTranslatedAudio)}
+                            className={`relative inline-flex items-center h-6 rounded-full w-11 transition-colors ${hearTranslatedAudio ? 'bg-blue-600' : 'bg-gray-200'}`}
+                        >
+                            <span className={`inline-block w-4 h-4 transform bg-white rounded-full transition-transform ${hearTranslatedAudio ? 'translate-x-6' : 'translate-x-1'}`} />
+                        </button>
+                    </div>
                 </div>
                 <div className="mt-6 flex justify-end space-x-3">
                     <button onClick={onClose} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
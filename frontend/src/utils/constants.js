@@ -36,6 +36,30 @@ export const ROOM_SETTINGS = {
   ROOM_ID_LENGTH: 8
 };
 
+// Participant roles, most to least privileged. ROLE_PERMISSIONS mirrors
+// backend/services/roomPermissions.js and only decides which controls to show.
+export const ROOM_ROLES = [
+  { value: 'host', label: 'Host' },
+  { value: 'co-host', label: 'Co-host' },
+  { value: 'interpreter', label: 'Interpreter' },
+  { value: 'participant', label: 'Participant' },
+  { value: 'viewer', label: 'Viewer' }
+];
+
+export const ROLE_PERMISSIONS = {
+  assign_roles: ['host'],
+  update_settings: ['host', 'co-host'],
+  manage_participants: ['host', 'co-host'],
+  admit_participants: ['host', 'co-host'],
+  moderate_messages: ['host', 'co-host'],
+  bypass_slow_mode: ['host', 'co-host'],
+  edit_glossary: ['host', 'co-host', 'interpreter'],
+  send_messages: ['host', 'co-host', 'interpreter', 'participant'],
+  speak: ['host', 'co-host', 'interpreter', 'participant']
+};
+
+export const hasRolePermission = (role, permission) => Boolean(ROLE_PERMISSIONS[permission]?.includes(role));
+
 // Media Constraints
 export const MEDIA_CONSTRAINTS = {
   video: {
@@ -99,7 +123,12 @@ export const SOCKET_EVENTS = {
   SEND_MESSAGE: 'send_message',
   NEW_MESSAGE: 'new_message',
   AUDIO_DATA: 'audio_data',
-  NEW_SUBTITLE: 'new_subtitle',
+  SUBTITLE_PARTIAL: 'subtitle_partial',
+  SUBTITLE_FINAL: 'subtitle_final',
+  UTTERANCE_START: 'utterance_start',
+  UTTERANCE_END: 'utterance_end',
+  SPEAKING_STATE: 'speaking_state',
+  DUBBED_AUDIO: 'dubbed_audio',
   
   // WebRTC Signaling
   WEBRTC_OFFER: 'webrtc_offer',
@@ -3,6 +3,9 @@
  * Handles real-time translation and subtitle processing
  */
 
+import { createLanguageDetector } from '../../../shared/languageDetection/detector.js';
+import languageModel from '../../../shared/languageDetection/trigramModel.json';
+
 // Mock translation database for demo purposes
 const TRANSLATION_DB = {
   // English to other languages
@@ -78,35 +81,21 @@ const TRANSLATION_DB = {
   }
 };
 
-// Language detection patterns
-const LANGUAGE_PATTERNS = {
-  'ta': /[\u0B80-\u0BFF]/,  // Tamil script
-  'hi': /[\u0900-\u097F]/,  // Devanagari script
-  'zh': /[\u4e00-\u9fff]/,  // Chinese characters
-  'ar': /[\u0600-\u06FF]/,  // Arabic script
-  'ja': /[\u3040-\u309F\u30A0-\u30FF]/,  // Hiragana/Katakana
-  'es': /\b(el|la|de|que|y|es|en|un|se|no|te|lo|hola|gracias|buenos|días)\b/i,
-  'fr': /\b(le|de|et|à|un|il|être|bonjour|merci|comment|vous)\b/i,
-  'de': /\b(der|die|das|und|ich|du|er|sie|es|hallo|danke|wie|geht)\b/i
-};
+// Offline n-gram language model shared with the backend
+const languageDetector = createLanguageDetector(languageModel);
+
+/**
+ * Candidate languages for a text, most likely first: [{ language, confidence }]
+ */
+export function detectLanguageCandidates(text, options) {
+  return languageDetector.detectLanguageCandidates(text, options);
+}
 
 /**
  * Detect the language of input text
  */
 export function detectLanguage(text) {
-  if (!text || text.trim().length === 0) return 'en';
-  
-  const lowerText = text.toLowerCase().trim();
-  
-  // Check for script-based languages first
-  for (const [lang, pattern] of Object.entries(LANGUAGE_PATTERNS)) {
-    if (pattern.test(text)) {
-      return lang;
-    }
-  }
-  
-  // Default to English if no pattern matches
-  return 'en';
+  return languageDetector.detectLanguage(text, 'en');
 }
 
 /**
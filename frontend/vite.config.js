@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    fs: {
+      // Allow modules shared with the backend (../shared)
+      allow: ['..'],
+    },
+  },
 })
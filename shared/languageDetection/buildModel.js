@@ -0,0 +1,72 @@
+/**
+ * Rebuilds trigramModel.json from the sample texts in corpus/<language>.txt.
+ *
+ *   npm run build:language-model
+ *
+ * For every language the model keeps raw counts of character n-grams (up
+ * to MAX_NGRAM characters, within padded words), of words and of word
+ * pairs; the detector turns them into probabilities. Word pairs seen only
+ * once say little about a language and are left out to keep the file small.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractWords, paddedChars, MAX_NGRAM } from './detector.js';
+
+const MIN_PAIR_COUNT = 2;
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const corpusDir = path.join(dir, 'corpus');
+
+const increment = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+// Sorted so rebuilding an unchanged corpus gives an identical file
+const sortedObject = (counts) => Object.fromEntries(
+  [...counts.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1))
+);
+
+const buildProfile = (text) => {
+  const words = extractWords(text);
+  const ngrams = new Map();
+  const vocabulary = new Map();
+  const pairs = new Map();
+
+  words.forEach((word, i) => {
+    increment(vocabulary, word);
+    if (i > 0) increment(pairs, `${words[i - 1]} ${word}`);
+
+    const chars = paddedChars(word);
+    for (let n = 1; n <= MAX_NGRAM; n++) {
+      // The leading space is only ever context, never a predicted character
+      for (let start = n === 1 ? 1 : 0; start + n <= chars.length; start++) {
+        increment(ngrams, chars.slice(start, start + n).join(''));
+      }
+    }
+  });
+
+  return {
+    words: words.length,
+    total: [...ngrams.entries()]
+      .filter(([ngram]) => Array.from(ngram).length === 1)
+      .reduce((sum, [, count]) => sum + count, 0),
+    ngrams: sortedObject(ngrams),
+    vocabulary: sortedObject(vocabulary),
+    pairs: sortedObject(new Map([...pairs].filter(([, count]) => count >= MIN_PAIR_COUNT)))
+  };
+};
+
+const languages = {};
+fs.readdirSync(corpusDir)
+  .filter(file => file.endsWith('.txt'))
+  .sort()
+  .forEach(file => {
+    const language = path.basename(file, '.txt');
+    languages[language] = buildProfile(fs.readFileSync(path.join(corpusDir, file), 'utf8'));
+  });
+
+fs.writeFileSync(
+  path.join(dir, 'trigramModel.json'),
+  `${JSON.stringify({ version: 2, maxNgram: MAX_NGRAM, languages })}\n`
+);
+
+console.log(`Built language model for: ${Object.keys(languages).join(', ')}`);
@@ -0,0 +1,128 @@
+/**
+ * Offline language detection with a character trigram model, backed by word
+ * and word pair counts for short phrases whose letters alone could belong to
+ * several languages ("No idea" reads as well in Italian as in English).
+ *
+ * The model is plain JSON (see trigramModel.json, built from corpus/ by
+ * buildModel.js) so the browser and Node can each load it their own way:
+ *
+ *   const { detectLanguage, detectLanguageCandidates } = createLanguageDetector(model);
+ */
+
+export const MAX_NGRAM = 3;
+
+// Below this many letters there is too little signal to guess from
+const MIN_LETTERS = 2;
+
+// How much the previous two, one and zero characters each count towards
+// a character's probability; the rest is spread over characters never seen
+const CONTEXT_WEIGHTS = [0.7, 0.2, 0.05];
+const UNSEEN_CHAR = 0.05 / 100;
+
+// How much the previous word counts towards a word's probability, and the
+// probability of a word the language's sample never used
+const PAIR_WEIGHT = 0.3;
+const UNSEEN_WORD = 0.00002;
+
+// Characters and words score the same text twice over, so soften the
+// log-likelihoods before turning them into confidences
+const SOFTENING = 2;
+
+const normalize = (text) => text
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[’`]/g, '\'')
+  .replace(/[^\p{L}\p{M}']+/gu, ' ')
+  .trim();
+
+/**
+ * Lowercased words of a text, without punctuation or digits.
+ */
+export const extractWords = (text) => {
+  const normalized = normalize(text || '');
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Characters of a word padded with spaces, so word boundaries ("_th",
+ * "ed_") are part of the model too.
+ */
+export const paddedChars = (word) => Array.from(` ${word} `);
+
+const countLetters = (text) => (text.match(/\p{L}/gu) || []).length;
+
+/**
+ * Build detector functions around a model produced by buildModel.js.
+ */
+export const createLanguageDetector = (model) => {
+  const languages = Object.keys(model.languages);
+
+  // Log-probability of each character of a word given the two before it
+  const scoreChars = (profile, word) => {
+    const { ngrams } = profile;
+    const chars = paddedChars(word);
+    let score = 0;
+
+    for (let i = 1; i < chars.length; i++) {
+      const char = chars[i];
+      const contexts = [i >= 2 ? chars[i - 2] + chars[i - 1] : null, chars[i - 1], ''];
+      const probability = contexts.reduce((sum, context, k) => {
+        const seen = context === '' ? profile.total : context !== null && ngrams[context];
+        return seen ? sum + CONTEXT_WEIGHTS[k] * ((ngrams[context + char] || 0) / seen) : sum;
+      }, UNSEEN_CHAR);
+      score += Math.log(probability);
+    }
+    return score;
+  };
+
+  // Log-probability of a word given the word before it
+  const scoreWord = (profile, word, previous) => {
+    const frequency = (profile.vocabulary[word] || 0) / profile.words;
+    const previousCount = previous && profile.vocabulary[previous];
+    const probability = previousCount
+      ? PAIR_WEIGHT * ((profile.pairs[`${previous} ${word}`] || 0) / previousCount) + (1 - PAIR_WEIGHT) * frequency
+      : frequency;
+    return Math.log(probability + UNSEEN_WORD);
+  };
+
+  /**
+   * Candidate languages for a text, most likely first.
+   * @param {string} text - Text to classify
+   * @param {Object} options - { limit: maximum candidates to return }
+   * @returns {Array} [{ language, confidence }], confidences summing to 1
+   */
+  const detectLanguageCandidates = (text, { limit = languages.length } = {}) => {
+    if (!text || countLetters(text) < MIN_LETTERS) return [];
+
+    const words = extractWords(text);
+    const scores = languages.map(language => {
+      const profile = model.languages[language];
+      const score = words.reduce((sum, word, i) => (
+        sum + scoreChars(profile, word) + scoreWord(profile, word, words[i - 1])
+      ), 0);
+      return { language, score };
+    });
+
+    const best = Math.max(...scores.map(s => s.score));
+    const weights = scores.map(s => Math.exp((s.score - best) / SOFTENING));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    return scores
+      .map((s, i) => ({ language: s.language, confidence: weights[i] / total }))
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, limit);
+  };
+
+  /**
+   * Most likely language of a text.
+   * @param {string} text - Text to classify
+   * @param {string} fallback - Returned when the text is too short to tell
+   * @returns {string} ISO 639-1 code
+   */
+  const detectLanguage = (text, fallback = 'en') => {
+    const [best] = detectLanguageCandidates(text, { limit: 1 });
+    return best ? best.language : fallback;
+  };
+
+  return { detectLanguage, detectLanguageCandidates };
+};